@@ -0,0 +1,63 @@
+const path = require('path');
+const sharp = require('sharp');
+const { badRequest } = require('../http/errors');
+
+// What can be attached, by extension, with the content type it is served
+// as. As with imports the file name decides, browsers being loose about the
+// content type they send.
+const FILE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Thumbnails fit in a square this size, keeping their proportions
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_TYPE = 'image/webp';
+
+const invalidFile = (message) => badRequest(message, 'INVALID_FILE');
+
+// The content type to store an upload as; 400 for a type that is not allowed
+function contentTypeOf({ originalname = '' }) {
+  const type = FILE_TYPES[path.extname(originalname).toLowerCase()];
+  if (!type) throw invalidFile(`Only ${Object.keys(FILE_TYPES).join(', ')} files can be attached`);
+  return type;
+}
+
+const isImage = (contentType) => contentType.startsWith('image/');
+
+// A small WebP of an image upload (the first frame of an animated GIF),
+// turned the way the camera held it. 400 when the bytes are not an image.
+async function makeThumbnail(buffer) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (err) {
+    throw invalidFile('The file is not an image that can be read');
+  }
+}
+
+// Removes stored files whose rows are gone. The database is the record of
+// what is attached, so a file that will not go is logged and left behind.
+async function removeStored(storage, keys) {
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error(`Could not remove stored file ${key}:`, err.message);
+    }
+  }
+}
+
+module.exports = { FILE_TYPES, THUMBNAIL_TYPE, contentTypeOf, isImage, makeThumbnail, removeStored };
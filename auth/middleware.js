@@ -0,0 +1,71 @@
+const { unauthorized, forbidden } = require('../http/errors');
+
+// Sessions last SESSION_TTL_HOURS (default 12) from login
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const bearerToken = (req) => {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Browsers cannot set headers on an EventSource or an <img>, so the change
+// stream and attachment downloads also take the token as ?access_token=
+const QUERY_TOKEN_PATHS = [/^\/events$/, /^\/attachments\/[^/]+\/(file|thumbnail)$/];
+const queryToken = (req) => (
+  req.method === 'GET' &&
+  QUERY_TOKEN_PATHS.some((pattern) => pattern.test(req.path)) &&
+  typeof req.query.access_token === 'string'
+    ? req.query.access_token
+    : null
+);
+
+// Sets req.user (with role and roomIds) from an "Authorization: Bearer" token
+// (or ?access_token= where allowed above). Requests without a valid token
+// carry on with req.user = null; the route guards below decide whether that
+// is allowed.
+function authenticate(repos) {
+  return async (req, res, next) => {
+    req.user = null;
+    req.token = bearerToken(req) || queryToken(req);
+    if (!req.token) return next();
+
+    const userId = await repos.sessions.findUserId(req.token);
+    if (userId) {
+      req.user = await repos.users.findById(userId);
+    }
+    next();
+  };
+}
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) return next(unauthorized());
+  next();
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return next(unauthorized());
+  if (!roles.includes(req.user.role)) return next(forbidden());
+  next();
+};
+
+// Admins manage every room, laborans the rooms assigned to them, viewers none
+const canManageRoom = (user, roomId) => Boolean(user) && (
+  user.role === 'admin' ||
+  (user.role === 'laboran' && user.roomIds.includes(roomId))
+);
+
+// Throws 403 unless the user can manage every one of the rooms
+const assertCanManageRooms = (user, ...roomIds) => {
+  if (!roomIds.every((roomId) => canManageRoom(user, roomId))) {
+    throw forbidden('You cannot manage items in this room');
+  }
+};
+
+module.exports = {
+  SESSION_TTL_MS,
+  authenticate,
+  requireAuth,
+  requireRole,
+  canManageRoom,
+  assertCanManageRooms
+};
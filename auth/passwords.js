@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Stored as "scrypt$<salt>$<hash>", both hex
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16);
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derived) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt.toString('hex')}$${derived.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    const expected = Buffer.from(hash, 'hex');
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), expected.length, (err, derived) => {
+      if (err) return reject(err);
+      resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword };
@@ -0,0 +1,14 @@
+// Constraint violations look different per driver: Postgres sets a SQLSTATE
+// code, SQLite only a generic SQLITE_CONSTRAINT with the detail in the message.
+
+const isUniqueViolation = (err) => Boolean(err) && (
+  err.code === '23505' ||
+  (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message))
+);
+
+const isForeignKeyViolation = (err) => Boolean(err) && (
+  err.code === '23503' ||
+  (err.code === 'SQLITE_CONSTRAINT' && /FOREIGN KEY/.test(err.message))
+);
+
+module.exports = { isUniqueViolation, isForeignKeyViolation };
@@ -0,0 +1,56 @@
+const path = require('path');
+const createPostgresAdapter = require('./postgres');
+const createSqliteAdapter = require('./sqlite');
+
+const CLIENT_ALIASES = {
+  sqlite: 'sqlite',
+  sqlite3: 'sqlite',
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  pg: 'postgres'
+};
+
+// DB_CLIENT picks the backend explicitly. Without it, a DATABASE_URL means
+// Postgres and anything else falls back to a local SQLite file.
+function resolveConfig(env = process.env) {
+  const requested = (env.DB_CLIENT || (env.DATABASE_URL ? 'postgres' : 'sqlite')).toLowerCase();
+  const client = CLIENT_ALIASES[requested];
+
+  if (!client) {
+    throw new Error(`Unsupported DB_CLIENT "${env.DB_CLIENT}" (expected sqlite or postgres)`);
+  }
+
+  if (client === 'postgres') {
+    if (!env.DATABASE_URL) {
+      throw new Error('DATABASE_URL is required when DB_CLIENT is postgres');
+    }
+    return {
+      client,
+      connectionString: env.DATABASE_URL,
+      ssl: env.DATABASE_SSL !== 'false'
+    };
+  }
+
+  return {
+    client,
+    filename: env.SQLITE_FILE || path.join(__dirname, '..', 'inventory.db')
+  };
+}
+
+// Every adapter exposes the same surface:
+//   dialect                -> 'sqlite' or 'postgres'
+//   query(sql, params)     -> all rows
+//   queryOne(sql, params)  -> first row or undefined
+//   run(sql, params)       -> { changes }
+//   exec(sql)              -> runs one or more statements without params
+//   transaction(work)      -> calls work(tx) where tx has dialect and the four methods above
+//   close()
+// SQL is written once with $1, $2 placeholders and portable syntax.
+function createDatabase(config = resolveConfig()) {
+  if (config.client === 'postgres') {
+    return createPostgresAdapter(config);
+  }
+  return createSqliteAdapter(config);
+}
+
+module.exports = { createDatabase, resolveConfig };
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Reads migrations/NNN_name.js files, each exporting `up(db)` and `down(db)`,
+// sorted by their number.
+function loadMigrations(directory) {
+  return fs.readdirSync(directory)
+    .map((file) => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const migration = require(path.join(directory, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(version, 10),
+        name,
+        file: path.basename(file, '.js'),
+        disableForeignKeys: Boolean(migration.disableForeignKeys),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function createMigrator(db, { directory = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(directory);
+
+  const ensureTable = () => db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL
+    )
+  `);
+
+  const appliedVersions = async () => {
+    await ensureTable();
+    const rows = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map((row) => parseInt(row.version, 10));
+  };
+
+  // SQLite can only rebuild a table that other tables reference (create a
+  // copy, drop, rename) with foreign key enforcement off, and that pragma is
+  // ignored inside a transaction. Migrations that do so export
+  // `disableForeignKeys: true`; the result is still checked before commit.
+  const runMigration = async (migration, work) => {
+    const relax = migration.disableForeignKeys && db.dialect === 'sqlite';
+    if (relax) await db.exec('PRAGMA foreign_keys = OFF');
+    try {
+      await db.transaction(async (tx) => {
+        await work(tx);
+        if (relax) {
+          const violations = await tx.query('PRAGMA foreign_key_check');
+          if (violations.length > 0) {
+            throw new Error(`Migration ${migration.file} left ${violations.length} foreign key violation(s)`);
+          }
+        }
+      });
+    } finally {
+      if (relax) await db.exec('PRAGMA foreign_keys = ON');
+    }
+  };
+
+  return {
+    migrations,
+
+    // Which migrations have run, which are still pending, and any versions
+    // recorded in the database that this code base does not know about.
+    async status() {
+      const applied = await appliedVersions();
+      const known = new Set(migrations.map((m) => m.version));
+      return {
+        current: applied.length ? applied[applied.length - 1] : 0,
+        latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied: migrations.filter((m) => applied.includes(m.version)),
+        pending: migrations.filter((m) => !applied.includes(m.version)),
+        unknown: applied.filter((version) => !known.has(version))
+      };
+    },
+
+    // Applies every pending migration in order, each in its own transaction
+    async up() {
+      const { pending } = await this.status();
+      for (const migration of pending) {
+        await runMigration(migration, async (tx) => {
+          await migration.up(tx);
+          await tx.run(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, new Date().toISOString()]
+          );
+        });
+        console.log(`Applied migration ${migration.file}`);
+      }
+      return pending;
+    },
+
+    // Reverts the most recently applied migrations, newest first
+    async down({ steps = 1 } = {}) {
+      const { applied } = await this.status();
+      const reverting = applied.slice(-steps).reverse();
+      for (const migration of reverting) {
+        await runMigration(migration, async (tx) => {
+          await migration.down(tx);
+          await tx.run('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+        console.log(`Reverted migration ${migration.file}`);
+      }
+      return reverting;
+    }
+  };
+}
+
+module.exports = createMigrator;
@@ -0,0 +1,54 @@
+const { Pool } = require('pg');
+
+function createPostgresAdapter({ connectionString, ssl }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: ssl ? { rejectUnauthorized: false } : false
+  });
+
+  // Add error handler for the pool
+  pool.on('error', (err) => {
+    console.error('Unexpected error on idle client', err);
+    process.exit(-1);
+  });
+
+  // `target` is either the pool or a client checked out for a transaction
+  const executor = (target) => ({
+    dialect: 'postgres',
+    query: async (sql, params = []) => (await target.query(sql, params)).rows,
+    queryOne: async (sql, params = []) => (await target.query(sql, params)).rows[0],
+    run: async (sql, params = []) => {
+      const result = await target.query(sql, params);
+      return { changes: result.rowCount };
+    },
+    exec: async (sql) => {
+      await target.query(sql);
+    }
+  });
+
+  return {
+    label: 'PostgreSQL',
+    ...executor(pool),
+    transaction: async (work) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await work(executor(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (rollbackErr) {
+          console.error('Error during rollback:', rollbackErr);
+        }
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end()
+  };
+}
+
+module.exports = createPostgresAdapter;
@@ -0,0 +1,32 @@
+// Introspection helpers for migrations that have to cope with databases
+// created before migrations existed.
+
+async function hasTable(db, table) {
+  if (db.dialect === 'sqlite') {
+    const row = await db.queryOne(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = $1",
+      [table]
+    );
+    return Boolean(row);
+  }
+  const row = await db.queryOne(
+    'SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = $1',
+    [table]
+  );
+  return Boolean(row);
+}
+
+async function hasColumn(db, table, column) {
+  if (db.dialect === 'sqlite') {
+    const columns = await db.query(`PRAGMA table_info(${table})`);
+    return columns.some((col) => col.name === column);
+  }
+  const row = await db.queryOne(
+    `SELECT 1 FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+    [table, column]
+  );
+  return Boolean(row);
+}
+
+module.exports = { hasTable, hasColumn };
@@ -0,0 +1,59 @@
+const { hashPassword } = require('../auth/passwords');
+
+// The first admin account comes from ADMIN_USERNAME / ADMIN_PASSWORD and is
+// only created while there are no users at all
+async function seedAdmin(repos, env = process.env) {
+  if (!env.ADMIN_USERNAME || !env.ADMIN_PASSWORD) return;
+  if ((await repos.users.count()) > 0) return;
+
+  await repos.users.create({
+    username: env.ADMIN_USERNAME,
+    name: 'Administrator',
+    passwordHash: await hashPassword(env.ADMIN_PASSWORD),
+    role: 'admin'
+  });
+  console.log(`Created admin user ${env.ADMIN_USERNAME}`);
+}
+
+// Default rooms, the first admin, and data.json imported only into an empty
+// items table
+async function seedDatabase(repos) {
+  await repos.rooms.initializeDefaults();
+  console.log('Default rooms initialized successfully');
+
+  await seedAdmin(repos);
+
+  const count = await repos.items.count();
+  if (count > 0) {
+    console.log(`Database has ${count} items, skipping import`);
+    return;
+  }
+
+  console.log('Database is empty, importing sample data...');
+  const sampleData = require('../data.json');
+
+  await repos.transaction(async (tx) => {
+    // Insert items, creating any room they name that does not exist yet
+    for (const item of sampleData.items) {
+      const room = await tx.rooms.findByName(item.location)
+        || await tx.rooms.create({ name: item.location });
+      await tx.items.create({ ...item, roomId: room.id });
+    }
+
+    // Insert serial numbers
+    for (const serial of sampleData.serialNumbers) {
+      await tx.inventoryCodes.create({
+        id: serial.id,
+        itemId: serial.itemId,
+        kodeInventaris: serial.serialNumber,
+        spesifikasi: serial.specs,
+        status: serial.status,
+        dateAdded: serial.dateAdded
+      });
+    }
+  });
+  console.log(`Imported ${sampleData.items.length} items`);
+  console.log(`Imported ${sampleData.serialNumbers.length} serial numbers`);
+}
+
+module.exports = seedDatabase;
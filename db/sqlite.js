@@ -0,0 +1,75 @@
+const sqlite3 = require('sqlite3');
+
+// Queries are written with Postgres-style $1, $2 placeholders; SQLite
+// understands the same thing spelled ?1, ?2.
+const translate = (sql) => sql.replace(/\$(\d+)/g, '?$1');
+
+// node-sqlite3 refuses to bind undefined
+const bindable = (params) => params.map((value) => (value === undefined ? null : value));
+
+function createSqliteAdapter({ filename }) {
+  const database = new sqlite3.Database(filename);
+  database.configure('busyTimeout', 5000);
+  database.run('PRAGMA foreign_keys = ON');
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    database.all(translate(sql), bindable(params), (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    database.run(translate(sql), bindable(params), function (err) {
+      if (err) return reject(err);
+      resolve({ changes: this.changes });
+    });
+  });
+
+  const exec = (sql) => new Promise((resolve, reject) => {
+    database.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
+
+  // A single connection is shared by every request, so statements are
+  // serialized: a transaction holds the queue until it commits or rolls back
+  // and nothing else can slip in between its BEGIN and COMMIT.
+  let tail = Promise.resolve();
+  const exclusive = (task) => {
+    const result = tail.then(task);
+    tail = result.catch(() => {});
+    return result;
+  };
+
+  const executor = (guard) => ({
+    dialect: 'sqlite',
+    query: (sql, params) => guard(() => all(sql, params)),
+    queryOne: (sql, params) => guard(() => all(sql, params)).then((rows) => rows[0]),
+    run: (sql, params) => guard(() => run(sql, params)),
+    exec: (sql) => guard(() => exec(sql))
+  });
+
+  // Inside a transaction the queue is already held, so the transaction's own
+  // statements run directly. Calling the outer adapter from inside `work`
+  // would wait on itself forever - always use the `tx` argument.
+  const tx = executor((task) => task());
+
+  return {
+    label: 'SQLite',
+    ...executor(exclusive),
+    transaction: (work) => exclusive(async () => {
+      await run('BEGIN');
+      try {
+        const result = await work(tx);
+        await run('COMMIT');
+        return result;
+      } catch (err) {
+        await run('ROLLBACK').catch((rollbackErr) => {
+          console.error('Error during rollback:', rollbackErr);
+        });
+        throw err;
+      }
+    }),
+    close: () => exclusive(() => new Promise((resolve, reject) => {
+      database.close((err) => (err ? reject(err) : resolve()));
+    }))
+  };
+}
+
+module.exports = createSqliteAdapter;
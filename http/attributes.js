@@ -0,0 +1,34 @@
+const { FieldError } = require('./validate');
+const { parseAttributeFilters } = require('../repositories/categories');
+
+// Request fields for unit attributes. Values are checked against the
+// category of the unit's item in the route (categories.checkAttributes);
+// here only the shape is.
+
+// Most attribute filters one list request may combine
+const MAX_FILTERS = 10;
+
+// { key: value } in a JSON body; null clears a value on update
+const attributeValues = {
+  parse(value) {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value !== 'object' || Array.isArray(value)) throw new FieldError('must be an object of attribute values');
+    const bad = Object.entries(value).find(([, entry]) => entry !== null && typeof entry === 'object');
+    if (bad) throw new FieldError(`${bad[0]} must be a text, number or true/false value`);
+    return value;
+  }
+};
+
+// ?attributes=ram_gb>=8,cpu~i5 as a list of conditions a unit has to meet
+const attributeFilters = {
+  parse(value) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string') throw new FieldError('must be a string');
+    const { filters, problem } = parseAttributeFilters(value);
+    if (problem) throw new FieldError(problem);
+    if (filters.length > MAX_FILTERS) throw new FieldError(`must have at most ${MAX_FILTERS} conditions`);
+    return filters;
+  }
+};
+
+module.exports = { attributeValues, attributeFilters };
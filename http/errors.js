@@ -0,0 +1,65 @@
+// Every error response has the same shape:
+//
+//   { "error": { "code": "VALIDATION_FAILED", "message": "...", "fields": { "name": "is required" } } }
+//
+// `fields` only appears when specific request fields are at fault. Routes
+// throw an HttpError (usually through one of the helpers below) and
+// errorHandler turns it into the response.
+
+class HttpError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+const badRequest = (message, code = 'BAD_REQUEST') => new HttpError(400, code, message);
+const validationFailed = (fields, message = 'Request validation failed') => (
+  new HttpError(400, 'VALIDATION_FAILED', message, fields)
+);
+const unauthorized = (message = 'Authentication required') => new HttpError(401, 'UNAUTHORIZED', message);
+const forbidden = (message = 'You do not have permission to do this') => new HttpError(403, 'FORBIDDEN', message);
+const notFound = (message = 'Not found') => new HttpError(404, 'NOT_FOUND', message);
+const conflict = (message, code = 'CONFLICT', fields) => new HttpError(409, code, message, fields);
+
+const errorBody = ({ code, message, fields }) => ({
+  error: fields ? { code, message, fields } : { code, message }
+});
+
+// Express error middleware (it needs all four parameters to be treated as
+// one); anything that is not an HttpError is a 500
+function errorHandler(err, req, res, next) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json(errorBody(err));
+  }
+  // Thrown by express.json() for a body that does not parse
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json(errorBody({ code: 'INVALID_JSON', message: 'Request body is not valid JSON' }));
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json(errorBody({ code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' }));
+  }
+  // Thrown by multer for file uploads
+  if (err.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? res.status(413).json(errorBody({ code: 'PAYLOAD_TOO_LARGE', message: 'Uploaded file is too large' }))
+      : res.status(400).json(errorBody({ code: 'INVALID_UPLOAD', message: err.message }));
+  }
+
+  console.error(`Error handling ${req.method} ${req.path}:`, err);
+  res.status(500).json(errorBody({ code: 'INTERNAL_ERROR', message: err.message }));
+}
+
+module.exports = {
+  HttpError,
+  badRequest,
+  validationFailed,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  errorHandler
+};
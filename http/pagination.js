@@ -0,0 +1,22 @@
+const { integer, oneOf } = require('./validate');
+
+// Query fields shared by paged list endpoints. Those endpoints answer
+// { data, total, limit, offset }, where total counts every match.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const pageFields = {
+  limit: integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT }),
+  offset: integer({ min: 0, default: 0 })
+};
+
+// `sort` is one of `columns`; `order` is asc or desc
+const sortFields = (columns, { sort, order = 'desc' }) => ({
+  sort: oneOf(columns, { default: sort }),
+  order: oneOf(['asc', 'desc'], { default: order })
+});
+
+const page = ({ data, total }, { limit, offset }) => ({ data, total, limit, offset });
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, pageFields, sortFields, page };
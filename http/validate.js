@@ -0,0 +1,180 @@
+const { badRequest, validationFailed } = require('./errors');
+
+// A small schema layer for request bodies and query strings. A field is an
+// object with parse(value), which returns the cleaned value or throws a
+// FieldError; object() combines fields and collects every failure, so one
+// response lists all the bad fields at once.
+
+class FieldError extends Error {}
+
+// Options shared by every field type:
+//   required  a missing value (or a blank one) is an error
+//   default   used when the value is missing
+//   nullable  null is kept, for clearing a value on update, instead of
+//             counting as missing
+// Query strings send "" for `?limit=`; apart from strings, that counts as missing.
+function field(check, { required = false, default: fallback, nullable = false } = {}, { blankIsMissing = true } = {}) {
+  return {
+    parse(value) {
+      if (value === null && nullable) return null;
+      if (value === undefined || value === null || (blankIsMissing && value === '')) {
+        if (required) throw new FieldError('is required');
+        return fallback;
+      }
+      return check(value);
+    }
+  };
+}
+
+// `allowBlank: false` rejects "" even when the field is optional, for values
+// that may be left out but not cleared (a name on update). `match` is a
+// RegExp that non-blank values have to fit.
+function string(options = {}) {
+  const { trim = true, min, max, match, allowBlank = !options.required } = options;
+  return field((value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') throw new FieldError('must be a string');
+    const text = trim ? String(value).trim() : String(value);
+    if (!allowBlank && text === '') throw new FieldError('must not be empty');
+    if (min !== undefined && text.length < min) throw new FieldError(`must be at least ${min} characters`);
+    if (max !== undefined && text.length > max) throw new FieldError(`must be at most ${max} characters`);
+    if (match && text !== '' && !match.test(text)) throw new FieldError('has an invalid format');
+    return text;
+  }, options, { blankIsMissing: false });
+}
+
+function integer(options = {}) {
+  const { min, max } = options;
+  return field((value) => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (!Number.isInteger(number)) throw new FieldError('must be an integer');
+    if (min !== undefined && number < min) throw new FieldError(`must be at least ${min}`);
+    if (max !== undefined && number > max) throw new FieldError(`must be at most ${max}`);
+    return number;
+  }, options);
+}
+
+const BOOLEANS = new Map([[true, true], ['true', true], [1, true], ['1', true],
+  [false, false], ['false', false], [0, false], ['0', false]]);
+
+function boolean(options = {}) {
+  return field((value) => {
+    if (!BOOLEANS.has(value)) throw new FieldError('must be true or false');
+    return BOOLEANS.get(value);
+  }, options);
+}
+
+// A date or timestamp, returned as an ISO string
+function date(options = {}) {
+  return field((value) => {
+    const parsed = new Date(value);
+    if (typeof value === 'boolean' || Number.isNaN(parsed.getTime())) throw new FieldError('must be a valid date');
+    return parsed.toISOString();
+  }, options);
+}
+
+function oneOf(values, options = {}) {
+  return field((value) => {
+    if (!values.includes(value)) throw new FieldError(`must be one of: ${values.join(', ')}`);
+    return value;
+  }, options);
+}
+
+// An array whose entries all pass `of`; duplicates are dropped when `unique`
+function array(of, options = {}) {
+  const { min, max, unique = false } = options;
+  return field((value) => {
+    if (!Array.isArray(value)) throw new FieldError('must be an array');
+    const entries = value.map((entry, index) => {
+      try {
+        const parsed = of.parse(entry);
+        if (parsed === undefined) throw new FieldError('is required');
+        return parsed;
+      } catch (err) {
+        if (err instanceof FieldError) throw new FieldError(`entry ${index + 1} ${err.message}`);
+        throw err;
+      }
+    });
+    const result = unique ? [...new Set(entries)] : entries;
+    if (min !== undefined && result.length < min) {
+      throw new FieldError(min === 1 ? 'must not be empty' : `must have at least ${min} entries`);
+    }
+    if (max !== undefined && result.length > max) throw new FieldError(`must have at most ${max} entries`);
+    return result;
+  }, options);
+}
+
+// An object inside the request (an entry of an array, say), checked against
+// an object() schema; the first bad key is reported
+function nested(schema, options = {}) {
+  return field((value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new FieldError('must be an object');
+    const { value: parsed, errors } = schema.parse(value);
+    const [key] = Object.keys(errors);
+    if (key) throw new FieldError(`${key} ${errors[key]}`);
+    return parsed;
+  }, options);
+}
+
+// A set of named fields. Unknown keys are dropped. `check(value)` runs once
+// every field has parsed and returns { field: message } for rules that span
+// several fields (or nothing when they hold).
+function object(shape, check) {
+  return {
+    parse(input) {
+      const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+      const value = {};
+      const errors = {};
+
+      for (const [key, rule] of Object.entries(shape)) {
+        try {
+          const parsed = rule.parse(source[key]);
+          if (parsed !== undefined) value[key] = parsed;
+        } catch (err) {
+          if (!(err instanceof FieldError)) throw err;
+          errors[key] = err.message;
+        }
+      }
+
+      if (Object.keys(errors).length === 0 && check) {
+        Object.assign(errors, check(value) || {});
+      }
+      return { value, errors };
+    }
+  };
+}
+
+// Route middleware: checks req.query and req.body against the given object()
+// schemas and replaces them with the parsed values, or fails with
+// VALIDATION_FAILED listing every bad field.
+const validate = ({ query, body }) => (req, res, next) => {
+  const fields = {};
+
+  if (query) {
+    const { value, errors } = query.parse(req.query);
+    Object.assign(fields, errors);
+    // Express 5 exposes req.query through a getter, so shadow it
+    Object.defineProperty(req, 'query', { value, writable: true, configurable: true, enumerable: true });
+  }
+  if (body) {
+    if (Array.isArray(req.body)) return next(badRequest('Request body must be a JSON object', 'INVALID_BODY'));
+    const { value, errors } = body.parse(req.body);
+    Object.assign(fields, errors);
+    req.body = value;
+  }
+
+  if (Object.keys(fields).length > 0) return next(validationFailed(fields));
+  next();
+};
+
+module.exports = {
+  FieldError,
+  string,
+  integer,
+  boolean,
+  date,
+  oneOf,
+  array,
+  nested,
+  object,
+  validate
+};
@@ -0,0 +1,88 @@
+require('dotenv').config();
+const { createDatabase } = require('./db');
+const createMigrator = require('./db/migrator');
+const seedDatabase = require('./db/seed');
+const createRepositories = require('./repositories');
+const { ROLES } = require('./repositories/users');
+const { MIN_PASSWORD_LENGTH, hashPassword } = require('./auth/passwords');
+
+const USAGE = `Usage: node init-database.js [command]
+
+Commands:
+  init          Apply pending migrations, then seed default rooms, the first admin
+                (ADMIN_USERNAME / ADMIN_PASSWORD) and sample data (default)
+  up            Apply pending migrations
+  down [steps]  Revert the last <steps> migrations (default: 1)
+  status        List applied and pending migrations
+  create-user <username> [role]
+                Create a user (role: admin, laboran or viewer; default admin)
+                with the password taken from the USER_PASSWORD variable`;
+
+async function main([command = 'init', arg, extra]) {
+  const db = createDatabase();
+  const migrator = createMigrator(db);
+
+  try {
+    switch (command) {
+      case 'init':
+        await migrator.up();
+        await seedDatabase(createRepositories(db));
+        console.log('Database initialized');
+        break;
+
+      case 'up': {
+        const applied = await migrator.up();
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+        break;
+      }
+
+      case 'down': {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`Invalid number of steps: ${arg}`);
+        }
+        const reverted = await migrator.down({ steps });
+        console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        break;
+      }
+
+      case 'status': {
+        const { current, latest, applied, pending, unknown } = await migrator.status();
+        console.log(`${db.label} schema version ${current} (latest ${latest})`);
+        applied.forEach((m) => console.log(`  [x] ${m.file}`));
+        pending.forEach((m) => console.log(`  [ ] ${m.file}`));
+        unknown.forEach((version) => console.log(`  [?] ${version} (not in migrations/)`));
+        break;
+      }
+
+      case 'create-user': {
+        const role = extra || 'admin';
+        const password = process.env.USER_PASSWORD;
+        if (!arg || !ROLES.includes(role)) {
+          throw new Error('Usage: create-user <username> [admin|laboran|viewer]');
+        }
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+          throw new Error(`Set USER_PASSWORD to a password of at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        const user = await createRepositories(db).users.create({
+          username: arg,
+          passwordHash: await hashPassword(password),
+          role
+        });
+        console.log(`Created ${user.role} ${user.username}`);
+        break;
+      }
+
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error('Database command failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// Tables as they were before migrations existed. IF NOT EXISTS lets this
+// adopt a database that was created by the old initDatabase().
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS items (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        information TEXT,
+        location TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS inventory_codes (
+        id TEXT PRIMARY KEY,
+        item_id TEXT NOT NULL,
+        kode_inventaris TEXT,
+        spesifikasi TEXT,
+        status TEXT DEFAULT 'good',
+        date_added TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (item_id) REFERENCES items (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS rooms (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS inventory_codes');
+    await db.exec('DROP TABLE IF EXISTS items');
+    await db.exec('DROP TABLE IF EXISTS rooms');
+  }
+};
@@ -0,0 +1,25 @@
+const { hasColumn } = require('../db/schema');
+
+// Rooms grew these columns after the first deploy; databases created since
+// then already have them, older ones do not.
+const COLUMNS = [
+  ['hidden', 'BOOLEAN DEFAULT FALSE'],
+  ['replaces_default', 'TEXT'],
+  ['icon', 'TEXT']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, type] of COLUMNS) {
+      if (!(await hasColumn(db, 'rooms', column))) {
+        await db.exec(`ALTER TABLE rooms ADD COLUMN ${column} ${type}`);
+      }
+    }
+  },
+
+  async down(db) {
+    for (const [column] of COLUMNS) {
+      await db.exec(`ALTER TABLE rooms DROP COLUMN ${column}`);
+    }
+  }
+};
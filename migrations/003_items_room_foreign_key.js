@@ -0,0 +1,92 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Items pointed at rooms only through the free-text items.location. This
+// replaces it with items.room_id -> rooms.id. Every distinct location is
+// matched to a room by name (ignoring case and surrounding spaces); locations
+// without a matching room get one created so no item is left behind.
+
+const UNASSIGNED_ROOM = 'Unassigned';
+
+async function assignRooms(db) {
+  const rooms = await db.query('SELECT id, name FROM rooms');
+  const roomIds = new Map(rooms.map((room) => [room.name.trim().toLowerCase(), room.id]));
+  const locations = await db.query('SELECT DISTINCT location FROM items');
+
+  for (const { location } of locations) {
+    const name = (location || '').trim() || UNASSIGNED_ROOM;
+    const key = name.toLowerCase();
+
+    if (!roomIds.has(key)) {
+      const id = uuidv4();
+      const timestamp = new Date().toISOString();
+      await db.run(
+        'INSERT INTO rooms (id, name, description, icon, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)',
+        [id, name, 'Created from existing item locations', '', timestamp, timestamp]
+      );
+      roomIds.set(key, id);
+    }
+
+    await db.run('UPDATE items SET room_id = $1 WHERE location = $2', [roomIds.get(key), location]);
+  }
+}
+
+module.exports = {
+  disableForeignKeys: true,
+
+  async up(db) {
+    await db.exec('ALTER TABLE items ADD COLUMN room_id TEXT REFERENCES rooms (id) ON DELETE RESTRICT');
+    await assignRooms(db);
+
+    if (db.dialect === 'sqlite') {
+      // SQLite cannot add NOT NULL or drop a NOT NULL column in place
+      await db.exec(`
+        CREATE TABLE items_new (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          information TEXT,
+          room_id TEXT NOT NULL REFERENCES rooms (id) ON DELETE RESTRICT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.exec(`
+        INSERT INTO items_new (id, name, information, room_id, created_at, updated_at)
+        SELECT id, name, information, room_id, created_at, updated_at FROM items
+      `);
+      await db.exec('DROP TABLE items');
+      await db.exec('ALTER TABLE items_new RENAME TO items');
+    } else {
+      await db.exec('ALTER TABLE items ALTER COLUMN room_id SET NOT NULL');
+      await db.exec('ALTER TABLE items DROP COLUMN location');
+    }
+
+    await db.exec('CREATE INDEX idx_items_room_id ON items (room_id)');
+  },
+
+  async down(db) {
+    if (db.dialect === 'sqlite') {
+      await db.exec(`
+        CREATE TABLE items_old (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          information TEXT,
+          location TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await db.exec(`
+        INSERT INTO items_old (id, name, information, location, created_at, updated_at)
+        SELECT i.id, i.name, i.information, r.name, i.created_at, i.updated_at
+        FROM items i JOIN rooms r ON r.id = i.room_id
+      `);
+      await db.exec('DROP TABLE items');
+      await db.exec('ALTER TABLE items_old RENAME TO items');
+    } else {
+      await db.exec('ALTER TABLE items ADD COLUMN location TEXT');
+      await db.exec('UPDATE items SET location = (SELECT name FROM rooms WHERE rooms.id = items.room_id)');
+      await db.exec('ALTER TABLE items ALTER COLUMN location SET NOT NULL');
+      await db.exec('ALTER TABLE items DROP COLUMN room_id');
+    }
+  }
+};
@@ -0,0 +1,61 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Transfers record each move of units between rooms. unit_location_history
+// keeps one row per unit per stay in a room (ended_at is NULL for the current
+// one), so "where was this unit on a given date" is a single range lookup.
+// The room name is copied into each row because rooms get renamed and deleted.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE transfers (
+        id TEXT PRIMARY KEY,
+        source_item_id TEXT REFERENCES items (id) ON DELETE SET NULL,
+        target_item_id TEXT REFERENCES items (id) ON DELETE SET NULL,
+        from_room_id TEXT REFERENCES rooms (id) ON DELETE SET NULL,
+        to_room_id TEXT REFERENCES rooms (id) ON DELETE SET NULL,
+        unit_count INTEGER NOT NULL DEFAULT 0,
+        note TEXT,
+        moved_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec('CREATE INDEX idx_transfers_moved_at ON transfers (moved_at)');
+
+    await db.exec(`
+      CREATE TABLE unit_location_history (
+        id TEXT PRIMARY KEY,
+        inventory_code_id TEXT NOT NULL REFERENCES inventory_codes (id) ON DELETE CASCADE,
+        room_id TEXT REFERENCES rooms (id) ON DELETE SET NULL,
+        room_name TEXT NOT NULL,
+        transfer_id TEXT REFERENCES transfers (id) ON DELETE SET NULL,
+        started_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP
+      )
+    `);
+    await db.exec(
+      'CREATE INDEX idx_unit_location_history_code ON unit_location_history (inventory_code_id, started_at)'
+    );
+
+    // Every existing unit has been in its item's room since it was added
+    const units = await db.query(`
+      SELECT ic.id, ic.date_added, ic.created_at, r.id AS room_id, r.name AS room_name
+      FROM inventory_codes ic
+      JOIN items i ON i.id = ic.item_id
+      JOIN rooms r ON r.id = i.room_id
+    `);
+    for (const unit of units) {
+      const startedAt = unit.date_added || unit.created_at || new Date();
+      await db.run(
+        `INSERT INTO unit_location_history (id, inventory_code_id, room_id, room_name, started_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [uuidv4(), unit.id, unit.room_id, unit.room_name, new Date(startedAt).toISOString()]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE unit_location_history');
+    await db.exec('DROP TABLE transfers');
+  }
+};
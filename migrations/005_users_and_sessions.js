@@ -0,0 +1,45 @@
+// User accounts for login. Laborans manage only the rooms listed for them in
+// user_rooms; admins manage everything and viewers nothing. Sessions store a
+// hash of the bearer token, never the token itself.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'laboran', 'viewer')),
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.exec(`
+      CREATE TABLE user_rooms (
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        room_id TEXT NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+        PRIMARY KEY (user_id, room_id)
+      )
+    `);
+
+    await db.exec(`
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        created_at TIMESTAMP NOT NULL,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+    await db.exec('CREATE INDEX idx_sessions_user_id ON sessions (user_id)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE sessions');
+    await db.exec('DROP TABLE user_rooms');
+    await db.exec('DROP TABLE users');
+  }
+};
@@ -0,0 +1,28 @@
+// One row per create/update/delete of an item, inventory code or room, with
+// the record as it looked before and after (JSON text, NULL where it did not
+// exist). The username is copied so entries survive the user being deleted.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE audit_log (
+        id TEXT PRIMARY KEY,
+        actor_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+        actor_username TEXT,
+        entity TEXT NOT NULL,
+        entity_id TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        before_data TEXT,
+        after_data TEXT,
+        created_at TIMESTAMP NOT NULL
+      )
+    `);
+    await db.exec('CREATE INDEX idx_audit_log_entity ON audit_log (entity, entity_id)');
+    await db.exec('CREATE INDEX idx_audit_log_actor ON audit_log (actor_id)');
+    await db.exec('CREATE INDEX idx_audit_log_created_at ON audit_log (created_at)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE audit_log');
+  }
+};
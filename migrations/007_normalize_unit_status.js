@@ -0,0 +1,33 @@
+// Unit status used to be free text, but only 'good' and 'broken' were ever
+// counted. Map the spellings the frontend has sent (Indonesian, mixed case,
+// padded) onto that vocabulary; a missing status means good, as the column
+// default always has. Anything else is left alone and reported, since
+// guessing would change the counts.
+
+const ALIASES = {
+  good: ['good', 'baik'],
+  broken: ['broken', 'rusak']
+};
+
+module.exports = {
+  async up(db) {
+    for (const [status, aliases] of Object.entries(ALIASES)) {
+      await db.run(
+        `UPDATE inventory_codes SET status = $1
+         WHERE LOWER(TRIM(status)) IN (${aliases.map((_, i) => `$${i + 2}`).join(', ')})`,
+        [status, ...aliases]
+      );
+    }
+    await db.run("UPDATE inventory_codes SET status = 'good' WHERE status IS NULL OR TRIM(status) = ''");
+
+    const unknown = await db.query(
+      "SELECT status, COUNT(*) AS count FROM inventory_codes WHERE status NOT IN ('good', 'broken') GROUP BY status"
+    );
+    for (const row of unknown) {
+      console.warn(`  ${row.count} unit(s) have unrecognised status "${row.status}"; fix them by hand`);
+    }
+  },
+
+  // The original spellings are gone; nothing to undo
+  async down() {}
+};
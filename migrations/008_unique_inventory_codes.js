@@ -0,0 +1,51 @@
+// Inventory codes become unique. Blank codes turn into NULL (a unit without a
+// code yet; new units always get one) and duplicates are renamed with a
+// -2, -3, ... suffix, oldest unit keeping the original, so the index can be
+// built. code_sequences holds the counters behind generated codes, one per
+// pattern prefix (for LAB-{ROOM}-{YEAR}-{SEQ}, one per room and year), and
+// rooms get the short code that stands in for {ROOM}.
+
+module.exports = {
+  async up(db) {
+    await db.run('UPDATE inventory_codes SET kode_inventaris = TRIM(kode_inventaris)');
+    await db.run("UPDATE inventory_codes SET kode_inventaris = NULL WHERE kode_inventaris = ''");
+
+    const duplicates = await db.query(`
+      SELECT kode_inventaris FROM inventory_codes
+      WHERE kode_inventaris IS NOT NULL
+      GROUP BY kode_inventaris
+      HAVING COUNT(*) > 1
+    `);
+    for (const { kode_inventaris: code } of duplicates) {
+      const units = await db.query(
+        'SELECT id FROM inventory_codes WHERE kode_inventaris = $1 ORDER BY created_at, id',
+        [code]
+      );
+      let suffix = 1;
+      for (const unit of units.slice(1)) {
+        let renamed;
+        do {
+          suffix += 1;
+          renamed = `${code}-${suffix}`;
+        } while (await db.queryOne('SELECT id FROM inventory_codes WHERE kode_inventaris = $1', [renamed]));
+        await db.run('UPDATE inventory_codes SET kode_inventaris = $1 WHERE id = $2', [renamed, unit.id]);
+        console.warn(`  Duplicate inventory code ${code} renamed to ${renamed}`);
+      }
+    }
+
+    await db.exec('CREATE UNIQUE INDEX idx_inventory_codes_kode ON inventory_codes (kode_inventaris)');
+    await db.exec(`
+      CREATE TABLE code_sequences (
+        scope TEXT PRIMARY KEY,
+        last_value INTEGER NOT NULL
+      )
+    `);
+    await db.exec('ALTER TABLE rooms ADD COLUMN code TEXT');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE rooms DROP COLUMN code');
+    await db.exec('DROP TABLE code_sequences');
+    await db.exec('DROP INDEX idx_inventory_codes_kode');
+  }
+};
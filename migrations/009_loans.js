@@ -0,0 +1,50 @@
+// Loans (peminjaman) of units to borrowers. loan_units holds each unit lent
+// and, once it comes back, when and in what condition. A unit can be out on
+// one loan at a time: the partial unique index allows a single unreturned
+// row per unit. The code and item name are copied in, as in
+// unit_location_history, so a returned loan still reads right after the
+// unit is renamed or deleted.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE loans (
+        id TEXT PRIMARY KEY,
+        borrower_name TEXT NOT NULL,
+        borrower_number TEXT,
+        borrower_contact TEXT,
+        note TEXT,
+        loaned_at TIMESTAMP NOT NULL,
+        due_at TIMESTAMP NOT NULL,
+        returned_at TIMESTAMP,
+        lent_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec('CREATE INDEX idx_loans_due_at ON loans (returned_at, due_at)');
+
+    await db.exec(`
+      CREATE TABLE loan_units (
+        id TEXT PRIMARY KEY,
+        loan_id TEXT NOT NULL REFERENCES loans (id) ON DELETE CASCADE,
+        inventory_code_id TEXT REFERENCES inventory_codes (id) ON DELETE SET NULL,
+        kode_inventaris TEXT,
+        item_name TEXT,
+        returned_at TIMESTAMP,
+        return_status TEXT,
+        return_note TEXT,
+        received_by TEXT
+      )
+    `);
+    await db.exec('CREATE INDEX idx_loan_units_loan ON loan_units (loan_id)');
+    await db.exec(
+      'CREATE UNIQUE INDEX idx_loan_units_out ON loan_units (inventory_code_id) WHERE returned_at IS NULL'
+    );
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE loan_units');
+    await db.exec('DROP TABLE loans');
+  }
+};
@@ -0,0 +1,49 @@
+// Maintenance (perbaikan) tickets for units. A ticket moves from reported
+// through in_repair to repaired or written_off; each step, technician note
+// and cost is a row in maintenance_entries. A unit can have one open ticket
+// at a time, which the partial unique index enforces. As with loans, the
+// code and item name are copied in so old tickets outlive the unit.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE maintenance_tickets (
+        id TEXT PRIMARY KEY,
+        inventory_code_id TEXT REFERENCES inventory_codes (id) ON DELETE SET NULL,
+        kode_inventaris TEXT,
+        item_name TEXT,
+        problem TEXT NOT NULL,
+        state TEXT NOT NULL,
+        technician TEXT,
+        reported_by TEXT,
+        opened_at TIMESTAMP NOT NULL,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec('CREATE INDEX idx_maintenance_tickets_unit ON maintenance_tickets (inventory_code_id)');
+    await db.exec('CREATE INDEX idx_maintenance_tickets_state ON maintenance_tickets (state)');
+    await db.exec(
+      'CREATE UNIQUE INDEX idx_maintenance_tickets_open ON maintenance_tickets (inventory_code_id) WHERE closed_at IS NULL'
+    );
+
+    await db.exec(`
+      CREATE TABLE maintenance_entries (
+        id TEXT PRIMARY KEY,
+        ticket_id TEXT NOT NULL REFERENCES maintenance_tickets (id) ON DELETE CASCADE,
+        state TEXT NOT NULL,
+        note TEXT,
+        cost INTEGER,
+        author TEXT,
+        created_at TIMESTAMP NOT NULL
+      )
+    `);
+    await db.exec('CREATE INDEX idx_maintenance_entries_ticket ON maintenance_entries (ticket_id, created_at)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE maintenance_entries');
+    await db.exec('DROP TABLE maintenance_tickets');
+  }
+};
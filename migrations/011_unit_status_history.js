@@ -0,0 +1,51 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Units get a fuller set of statuses (minor_damage, under_repair, lost and
+// disposed next to good and broken) and a history of every change between
+// them. Existing units start their history with the status they have now,
+// from the day they were added; what came before was never recorded.
+
+// What down turns the new statuses into, since the old code only knew
+// good and broken
+const OLD_STATUS = {
+  minor_damage: 'broken',
+  under_repair: 'broken',
+  lost: 'broken',
+  disposed: 'broken'
+};
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE unit_status_history (
+        id TEXT PRIMARY KEY,
+        inventory_code_id TEXT NOT NULL REFERENCES inventory_codes (id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        changed_by TEXT,
+        changed_at TIMESTAMP NOT NULL
+      )
+    `);
+    await db.exec(
+      'CREATE INDEX idx_unit_status_history_code ON unit_status_history (inventory_code_id, changed_at)'
+    );
+
+    const units = await db.query('SELECT id, status, date_added, created_at FROM inventory_codes');
+    for (const unit of units) {
+      const changedAt = unit.date_added || unit.created_at || new Date();
+      await db.run(
+        `INSERT INTO unit_status_history (id, inventory_code_id, from_status, to_status, changed_at)
+         VALUES ($1, $2, NULL, $3, $4)`,
+        [uuidv4(), unit.id, unit.status || 'good', new Date(changedAt).toISOString()]
+      );
+    }
+  },
+
+  async down(db) {
+    for (const [status, old] of Object.entries(OLD_STATUS)) {
+      await db.run('UPDATE inventory_codes SET status = $1 WHERE status = $2', [old, status]);
+    }
+    await db.exec('DROP TABLE unit_status_history');
+  }
+};
@@ -0,0 +1,76 @@
+// Deleting a room, item or unit moves it to the trash instead of removing
+// the row: deleted_at and deleted_by say when and by whom, and deletion_id
+// names the record the user actually deleted, so a room restores together
+// with the items and units that went with it. audit_log learns two more
+// actions, restore and purge.
+
+const TABLES = ['rooms', 'items', 'inventory_codes'];
+
+const ACTIONS = {
+  old: "'create', 'update', 'delete'",
+  new: "'create', 'update', 'delete', 'restore', 'purge'"
+};
+
+// SQLite cannot change a CHECK constraint in place
+async function rebuildAuditLog(db, actions) {
+  await db.exec(`
+    CREATE TABLE audit_log_new (
+      id TEXT PRIMARY KEY,
+      actor_id TEXT REFERENCES users (id) ON DELETE SET NULL,
+      actor_username TEXT,
+      entity TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      action TEXT NOT NULL CHECK (action IN (${actions})),
+      before_data TEXT,
+      after_data TEXT,
+      created_at TIMESTAMP NOT NULL
+    )
+  `);
+  await db.exec('INSERT INTO audit_log_new SELECT * FROM audit_log');
+  await db.exec('DROP TABLE audit_log');
+  await db.exec('ALTER TABLE audit_log_new RENAME TO audit_log');
+  await db.exec('CREATE INDEX idx_audit_log_entity ON audit_log (entity, entity_id)');
+  await db.exec('CREATE INDEX idx_audit_log_actor ON audit_log (actor_id)');
+  await db.exec('CREATE INDEX idx_audit_log_created_at ON audit_log (created_at)');
+}
+
+async function setAuditActions(db, actions) {
+  if (db.dialect === 'sqlite') {
+    await rebuildAuditLog(db, actions);
+  } else {
+    await db.exec('ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check');
+    await db.exec(`ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check CHECK (action IN (${actions}))`);
+  }
+}
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN deleted_at TIMESTAMP`);
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN deleted_by TEXT`);
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN deletion_id TEXT`);
+      await db.exec(`CREATE INDEX idx_${table}_deletion ON ${table} (deletion_id)`);
+    }
+    await setAuditActions(db, ACTIONS.new);
+  },
+
+  // Whatever is still in the trash is deleted for good, since the old code
+  // would otherwise show it again
+  async down(db) {
+    await db.exec(
+      'DELETE FROM inventory_codes WHERE deleted_at IS NOT NULL OR item_id IN (SELECT id FROM items WHERE deleted_at IS NOT NULL)'
+    );
+    await db.exec('DELETE FROM items WHERE deleted_at IS NOT NULL');
+    await db.exec('DELETE FROM rooms WHERE deleted_at IS NOT NULL');
+    for (const table of TABLES) {
+      await db.exec(`DROP INDEX idx_${table}_deletion`);
+      for (const column of ['deleted_at', 'deleted_by', 'deletion_id']) {
+        await db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+
+    await db.exec("UPDATE audit_log SET action = 'update' WHERE action = 'restore'");
+    await db.exec("UPDATE audit_log SET action = 'delete' WHERE action = 'purge'");
+    await setAuditActions(db, ACTIONS.old);
+  }
+};
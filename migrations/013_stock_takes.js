@@ -0,0 +1,63 @@
+// Stock taking (stock opname): a session checks one or more rooms against
+// the inventory. stock_take_rooms lists the rooms; stock_take_scans holds
+// each code seen, where and in what condition, one row per code per
+// session (scanning it again overwrites). Room names are copied in so a
+// closed session still reads right after a room is renamed or purged.
+// result_data keeps the reconciliation as it stood when the session was
+// closed, with what applying it changed.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE stock_takes (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        note TEXT,
+        state TEXT NOT NULL,
+        opened_by TEXT,
+        opened_at TIMESTAMP NOT NULL,
+        closed_by TEXT,
+        closed_at TIMESTAMP,
+        applied BOOLEAN DEFAULT FALSE,
+        result_data TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec('CREATE INDEX idx_stock_takes_state ON stock_takes (state, opened_at)');
+
+    await db.exec(`
+      CREATE TABLE stock_take_rooms (
+        id TEXT PRIMARY KEY,
+        stock_take_id TEXT NOT NULL REFERENCES stock_takes (id) ON DELETE CASCADE,
+        room_id TEXT REFERENCES rooms (id) ON DELETE SET NULL,
+        room_name TEXT NOT NULL
+      )
+    `);
+    await db.exec('CREATE INDEX idx_stock_take_rooms_session ON stock_take_rooms (stock_take_id)');
+    await db.exec('CREATE INDEX idx_stock_take_rooms_room ON stock_take_rooms (room_id)');
+
+    await db.exec(`
+      CREATE TABLE stock_take_scans (
+        id TEXT PRIMARY KEY,
+        stock_take_id TEXT NOT NULL REFERENCES stock_takes (id) ON DELETE CASCADE,
+        kode_inventaris TEXT NOT NULL,
+        room_id TEXT REFERENCES rooms (id) ON DELETE SET NULL,
+        room_name TEXT NOT NULL,
+        observed_status TEXT NOT NULL,
+        note TEXT,
+        scanned_by TEXT,
+        scanned_at TIMESTAMP NOT NULL
+      )
+    `);
+    await db.exec(
+      'CREATE UNIQUE INDEX idx_stock_take_scans_code ON stock_take_scans (stock_take_id, kode_inventaris)'
+    );
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE stock_take_scans');
+    await db.exec('DROP TABLE stock_take_rooms');
+    await db.exec('DROP TABLE stock_takes');
+  }
+};
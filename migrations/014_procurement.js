@@ -0,0 +1,30 @@
+// Procurement data per unit: when it was bought, for how much (whole
+// rupiah), from which funds and vendor, and until when the warranty runs.
+// Items get a useful life in years, over which their units' book value
+// falls to nothing; items without one use DEFAULT_USEFUL_LIFE_YEARS.
+
+const UNIT_COLUMNS = [
+  ['purchase_date', 'TIMESTAMP'],
+  ['purchase_price', 'INTEGER'],
+  ['funding_source', 'TEXT'],
+  ['vendor', 'TEXT'],
+  ['warranty_until', 'TIMESTAMP']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, type] of UNIT_COLUMNS) {
+      await db.exec(`ALTER TABLE inventory_codes ADD COLUMN ${column} ${type}`);
+    }
+    await db.exec('CREATE INDEX idx_inventory_codes_warranty ON inventory_codes (warranty_until)');
+    await db.exec('ALTER TABLE items ADD COLUMN useful_life_years INTEGER');
+  },
+
+  async down(db) {
+    await db.exec('ALTER TABLE items DROP COLUMN useful_life_years');
+    await db.exec('DROP INDEX idx_inventory_codes_warranty');
+    for (const [column] of UNIT_COLUMNS) {
+      await db.exec(`ALTER TABLE inventory_codes DROP COLUMN ${column}`);
+    }
+  }
+};
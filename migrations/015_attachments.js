@@ -0,0 +1,33 @@
+// Files attached to an item or to one unit: photos of damage, invoices,
+// manuals. Each row belongs to exactly one of the two. The files themselves
+// live in the attachment storage (see storage/) under storage_key, with a
+// thumbnail under thumbnail_key for images. Rows go with their item or unit
+// when it is purged from the trash; while it is in the trash they are hidden
+// with it.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE attachments (
+        id TEXT PRIMARY KEY,
+        item_id TEXT REFERENCES items (id) ON DELETE CASCADE,
+        inventory_code_id TEXT REFERENCES inventory_codes (id) ON DELETE CASCADE,
+        kind TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        thumbnail_key TEXT,
+        description TEXT,
+        uploaded_by TEXT,
+        created_at TIMESTAMP NOT NULL
+      )
+    `);
+    await db.exec('CREATE INDEX idx_attachments_item ON attachments (item_id)');
+    await db.exec('CREATE INDEX idx_attachments_unit ON attachments (inventory_code_id)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE attachments');
+  }
+};
@@ -0,0 +1,61 @@
+// Item categories (PC, monitor, network device, ...) with the attributes
+// their units are described by. category_attributes is each category's
+// schema: a key such as ram_gb, how it is shown, its type and, for option
+// attributes, the allowed values as a JSON list. unit_attributes holds a
+// unit's values by key, as text, with numbers also in value_number so they
+// can be compared. The free-text spesifikasi stays as it is.
+//
+// items.category_id has no foreign key, which SQLite could not drop again
+// without rebuilding the table; deleting a category clears it instead.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE categories (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec('CREATE UNIQUE INDEX idx_categories_name ON categories (LOWER(name))');
+
+    await db.exec(`
+      CREATE TABLE category_attributes (
+        id TEXT PRIMARY KEY,
+        category_id TEXT NOT NULL REFERENCES categories (id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL,
+        unit TEXT,
+        options TEXT,
+        required BOOLEAN DEFAULT FALSE,
+        position INTEGER NOT NULL
+      )
+    `);
+    await db.exec('CREATE UNIQUE INDEX idx_category_attributes_key ON category_attributes (category_id, key)');
+
+    await db.exec('ALTER TABLE items ADD COLUMN category_id TEXT');
+    await db.exec('CREATE INDEX idx_items_category ON items (category_id)');
+
+    await db.exec(`
+      CREATE TABLE unit_attributes (
+        inventory_code_id TEXT NOT NULL REFERENCES inventory_codes (id) ON DELETE CASCADE,
+        attribute_key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        value_number DOUBLE PRECISION,
+        PRIMARY KEY (inventory_code_id, attribute_key)
+      )
+    `);
+    await db.exec('CREATE INDEX idx_unit_attributes_key ON unit_attributes (attribute_key, value_number)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE unit_attributes');
+    await db.exec('DROP INDEX idx_items_category');
+    await db.exec('ALTER TABLE items DROP COLUMN category_id');
+    await db.exec('DROP TABLE category_attributes');
+    await db.exec('DROP TABLE categories');
+  }
+};
@@ -0,0 +1,44 @@
+// Consumables: items counted by quantity (cables, connectors, toner)
+// instead of by unit. items.tracking is 'unit' for the items there have
+// always been and 'quantity' for consumables, whose stock is in
+// items.quantity; min_quantity is the level below which they are reported
+// as running low. Each item is in one room, so that is the minimum for the
+// room. stock_movements is the ledger of every change to the stock, with
+// the room the item was in at the time and the stock after it.
+
+const ITEM_COLUMNS = [
+  ['tracking', "TEXT NOT NULL DEFAULT 'unit'"],
+  ['quantity', 'INTEGER NOT NULL DEFAULT 0'],
+  ['min_quantity', 'INTEGER']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, type] of ITEM_COLUMNS) {
+      await db.exec(`ALTER TABLE items ADD COLUMN ${column} ${type}`);
+    }
+
+    await db.exec(`
+      CREATE TABLE stock_movements (
+        id TEXT PRIMARY KEY,
+        item_id TEXT NOT NULL REFERENCES items (id) ON DELETE CASCADE,
+        room_id TEXT NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('in', 'out', 'adjust')),
+        delta INTEGER NOT NULL,
+        balance INTEGER NOT NULL,
+        note TEXT,
+        moved_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec('CREATE INDEX idx_stock_movements_item ON stock_movements (item_id, created_at)');
+    await db.exec('CREATE INDEX idx_stock_movements_room ON stock_movements (room_id, created_at)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE stock_movements');
+    for (const [column] of ITEM_COLUMNS) {
+      await db.exec(`ALTER TABLE items DROP COLUMN ${column}`);
+    }
+  }
+};
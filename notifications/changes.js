@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+
+// What open screens are told about. A transfer is news in both rooms it
+// moved units between; the other audit entities (loans, tickets, stock
+// takes) change no item or unit on their own, or record that change too.
+const NOTIFIED_ENTITIES = ['item', 'inventory_code', 'room', 'transfer'];
+
+// The rooms a change touches: the room itself, the rooms a transfer moved
+// units from and to, or the room the record was in before and is in after
+// (an item moved to another room is news in both)
+const roomsOf = ({ entity, entity_id: entityId, before, after }) => {
+  if (entity === 'room') return [entityId];
+  if (entity === 'transfer') return [after.from_room_id, after.to_room_id];
+  const ids = [before && before.room_id, after && after.room_id].filter(Boolean);
+  return [...new Set(ids)];
+};
+
+// Fans committed changes out to whoever is listening, in memory, so every
+// listener has to be connected to this server process
+function createChangeFeed() {
+  const emitter = new EventEmitter();
+  // One listener per open stream
+  emitter.setMaxListeners(0);
+  let lastId = 0;
+
+  return {
+    // Takes an audit entry (see repositories/audit.js) once its transaction
+    // has committed
+    publish(entry) {
+      if (!NOTIFIED_ENTITIES.includes(entry.entity)) return;
+      lastId += 1;
+      emitter.emit('change', {
+        id: lastId,
+        entity: entry.entity,
+        entityId: entry.entity_id,
+        action: entry.action,
+        roomIds: roomsOf(entry),
+        record: entry.after || entry.before,
+        actor: entry.actor_username,
+        at: entry.created_at
+      });
+    },
+
+    // Calls `listener` with each change to one of `roomIds` (every change
+    // when that is empty); returns a function that stops it
+    subscribe(roomIds, listener) {
+      const filtered = (change) => {
+        if (roomIds.length === 0 || change.roomIds.some((id) => roomIds.includes(id))) listener(change);
+      };
+      emitter.on('change', filtered);
+      return () => emitter.off('change', filtered);
+    }
+  };
+}
+
+module.exports = { NOTIFIED_ENTITIES, createChangeFeed };
@@ -0,0 +1,185 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { STATUS_COUNTS } = require('../repositories/inventoryCodes');
+
+// Renders the nested inventory from repos.reports.inventory() as CSV, XLSX
+// or PDF. All three are built here, without calling out to any service.
+
+const day = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// One line per unit; an item without units still gets a line. The headers
+// are ones POST /items/import recognises, so an export can be edited and
+// imported again.
+const UNIT_COLUMNS = [
+  ['Location', ({ room }) => room.name],
+  ['Name', ({ item }) => item.name],
+  ['Information', ({ item }) => item.information || ''],
+  ['Serial Number', ({ unit }) => (unit ? unit.kode_inventaris || '' : '')],
+  ['Specs', ({ unit }) => (unit ? unit.spesifikasi || '' : '')],
+  ['Status', ({ unit }) => (unit ? unit.status : '')],
+  ['Date Added', ({ unit }) => (unit ? day(unit.date_added) : '')]
+];
+
+function unitLines(inventory) {
+  const lines = [];
+  for (const { room, items } of inventory) {
+    for (const item of items) {
+      const units = item.units.length > 0 ? item.units : [undefined];
+      units.forEach((unit) => lines.push(UNIT_COLUMNS.map(([, value]) => value({ room, item, unit }))));
+    }
+  }
+  return lines;
+}
+
+// jumlah, then a count per status (baik, rusak_ringan, ...)
+const COUNTS = ['jumlah', ...Object.values(STATUS_COUNTS)];
+
+const totalsOf = (inventory) => Object.fromEntries(COUNTS.map((count) => (
+  [count, inventory.reduce((sum, room) => sum + room[count], 0)]
+)));
+
+// "under_repair" -> "under repair", "rusak_ringan" -> "Rusak Ringan"
+const words = (name) => name.replace(/_/g, ' ');
+const heading = (name) => words(name).replace(/\b\w/g, (letter) => letter.toUpperCase());
+
+// Text that would start with =, +, - or @ (or a tab or carriage return)
+// gets a leading ' so spreadsheet programs show it rather than run it as a
+// formula; POST /items/import takes it off again
+const csvField = (value) => {
+  const text = String(value).replace(/^[=+\-@\t\r]/, "'$&");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// UTF-8 with a byte order mark, which Excel needs to show non-ASCII text right
+function toCsv(inventory) {
+  const rows = [UNIT_COLUMNS.map(([header]) => header), ...unitLines(inventory)];
+  return Buffer.from(`\uFEFF${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`, 'utf8');
+}
+
+// A "Units" sheet like the CSV, then a "Summary" sheet with the counts per
+// item and room as GET /items gives them
+async function toXlsx(inventory) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const units = workbook.addWorksheet('Units', { views: [{ state: 'frozen', ySplit: 1 }] });
+  units.columns = UNIT_COLUMNS.map(([header]) => ({ header, width: header === 'Specs' ? 40 : 20 }));
+  units.addRows(unitLines(inventory));
+  units.getRow(1).font = { bold: true };
+  units.autoFilter = { from: 'A1', to: { row: 1, column: UNIT_COLUMNS.length } };
+
+  const summary = workbook.addWorksheet('Summary', { views: [{ state: 'frozen', ySplit: 1 }] });
+  summary.columns = [
+    { header: 'Location', width: 20 },
+    { header: 'Name', width: 30 },
+    { header: 'Information', width: 30 },
+    ...COUNTS.map((count) => ({ header: heading(count), width: count.length > 6 ? 16 : 10 }))
+  ];
+  summary.getRow(1).font = { bold: true };
+  const countCells = (totals) => COUNTS.map((count) => totals[count]);
+  for (const room of inventory) {
+    room.items.forEach((item) => summary.addRow([room.room.name, item.name, item.information || '', ...countCells(item)]));
+    summary.addRow([room.room.name, 'Total', '', ...countCells(room)]).font = { bold: true };
+  }
+  if (inventory.length > 1) {
+    summary.addRow(['All rooms', 'Total', '', ...countCells(totalsOf(inventory))]).font = { bold: true };
+  }
+
+  return workbook.xlsx.writeBuffer();
+}
+
+// PDF layout, in points on A4
+const MARGIN = 40;
+const PDF_COLUMNS = [
+  { header: 'No', width: 30, value: (unit, i) => String(i + 1) },
+  { header: 'Inventory Code', width: 130, value: (unit) => unit.kode_inventaris || '-' },
+  { header: 'Specs', width: 220, value: (unit) => unit.spesifikasi || '-' },
+  { header: 'Status', width: 65, value: (unit) => words(unit.status) },
+  { header: 'Date Added', width: 70, value: (unit) => day(unit.date_added) }
+];
+
+// "5 unit(s): 3 good, 2 broken", naming only the statuses some unit is in
+const counts = (totals) => {
+  const parts = Object.entries(STATUS_COUNTS)
+    .filter(([, count]) => totals[count] > 0)
+    .map(([status, count]) => `${totals[count]} ${words(status)}`);
+  return parts.length > 0 ? `${totals.jumlah} unit(s): ${parts.join(', ')}` : `${totals.jumlah} unit(s)`;
+};
+
+// A printable report: each room with its items, each item with its units in
+// a table and its totals, and page numbers in the footer. Returns the
+// document; pipe it somewhere and it ends itself.
+function toPdf(inventory, { title, generatedAt = new Date() }) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info: { Title: title } });
+  const bottom = () => doc.page.height - MARGIN - 20;
+  const ensureRoom = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  // A table row; `header` is repeated first when the row starts a new page
+  const row = (cells, { bold = false, header } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: PDF_COLUMNS[i].width - 6 }))) + 4;
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (header) {
+        row(header, { bold: true });
+        doc.font('Helvetica').fontSize(9);
+      }
+    }
+    const top = doc.y;
+    let x = MARGIN;
+    cells.forEach((text, i) => {
+      doc.text(text, x + 3, top + 2, { width: PDF_COLUMNS[i].width - 6 });
+      x += PDF_COLUMNS[i].width;
+    });
+    doc.moveTo(MARGIN, top + height).lineTo(x, top + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+    doc.x = MARGIN;
+    doc.y = top + height;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`Generated ${generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`)
+    .fillColor('black');
+  if (inventory.length > 1) doc.text(`All rooms: ${counts(totalsOf(inventory))}`);
+
+  if (inventory.length === 0) doc.moveDown().fontSize(11).text('There are no rooms to report.');
+
+  for (const room of inventory) {
+    ensureRoom(60);
+    doc.moveDown(1.5).font('Helvetica-Bold').fontSize(13)
+      .text(room.room.code ? `${room.room.name} (${room.room.code})` : room.room.name, MARGIN);
+    doc.font('Helvetica').fontSize(9).text(`${room.items.length} item(s), ${counts(room)}`);
+    if (room.items.length === 0) doc.moveDown(0.5).text('No items.');
+
+    for (const item of room.items) {
+      // Keep the item's heading with its table header and first unit
+      ensureRoom(80);
+      doc.moveDown(0.8).font('Helvetica-Bold').fontSize(10)
+        .text(item.information ? `${item.name} - ${item.information}` : item.name, MARGIN);
+      doc.font('Helvetica').fontSize(9).text(counts(item));
+      doc.moveDown(0.3);
+      if (item.units.length === 0) continue;
+
+      const header = PDF_COLUMNS.map((column) => column.header);
+      row(header, { bold: true });
+      item.units.forEach((unit, i) => row(PDF_COLUMNS.map((column) => column.value(unit, i)), { header }));
+    }
+  }
+
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+      .text(`${title} - page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN - 10, {
+        width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false
+      });
+  }
+  doc.end();
+  return doc;
+}
+
+module.exports = { toCsv, toXlsx, toPdf };
@@ -0,0 +1,97 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const { badRequest } = require('../http/errors');
+
+// Scannable labels for units. A label encodes the unit's kode_inventaris
+// and nothing else, so any scanner app gives back the code that GET /lookup
+// resolves.
+
+const SYMBOLOGIES = {
+  qr: { bcid: 'qrcode' },
+  code128: { bcid: 'code128', includetext: true, textxalign: 'center', height: 12 }
+};
+
+const options = (type, text, scale) => ({ ...SYMBOLOGIES[type], text, scale });
+
+// bwip-js throws for text a symbology cannot hold
+const unencodable = (type, text, err) => (
+  badRequest(`${text} cannot be encoded as ${type}: ${err.message || err}`, 'UNENCODABLE_CODE')
+);
+
+async function toPng(type, text, { scale = 4 } = {}) {
+  try {
+    return await bwipjs.toBuffer(options(type, text, scale));
+  } catch (err) {
+    throw unencodable(type, text, err);
+  }
+}
+
+function toSvg(type, text, { scale = 4 } = {}) {
+  try {
+    return bwipjs.toSVG(options(type, text, scale));
+  } catch (err) {
+    throw unencodable(type, text, err);
+  }
+}
+
+// A4 sheet of 3 x 8 labels, about 70 x 35 mm each, with thin cut lines
+const MARGIN = 28;
+const COLUMNS = 3;
+const ROWS = 8;
+const PADDING = 6;
+
+// One label per unit: [{ kode_inventaris, item_name, location }]. Returns
+// the document; pipe it somewhere and it ends itself.
+async function toLabelSheet(units, { type, title }) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title } });
+  const width = (doc.page.width - MARGIN * 2) / COLUMNS;
+  const height = (doc.page.height - MARGIN * 2) / ROWS;
+
+  // Render every image before drawing so a bad code fails the request
+  // instead of cutting the PDF short
+  const images = [];
+  for (const unit of units) {
+    images.push(await toPng(type, unit.kode_inventaris, { scale: 3 }));
+  }
+
+  units.forEach((unit, i) => {
+    const slot = i % (COLUMNS * ROWS);
+    if (i > 0 && slot === 0) doc.addPage();
+    const x = MARGIN + (slot % COLUMNS) * width;
+    const y = MARGIN + Math.floor(slot / COLUMNS) * height;
+
+    doc.rect(x, y, width, height).lineWidth(0.25).dash(2, { space: 2 }).strokeColor('#999999').stroke().undash();
+
+    const inner = { x: x + PADDING, y: y + PADDING, width: width - PADDING * 2, height: height - PADDING * 2 };
+    let text;
+    if (type === 'qr') {
+      // Code on the left, what it is on the right
+      doc.image(images[i], inner.x, inner.y, { fit: [inner.height, inner.height] });
+      text = { x: inner.x + inner.height + PADDING, y: inner.y, width: inner.width - inner.height - PADDING };
+      doc.font('Helvetica-Bold').fontSize(8).text(unit.kode_inventaris, text.x, text.y, { width: text.width });
+    } else {
+      // Barcode (with the code under it) across the top, the rest below
+      doc.image(images[i], inner.x, inner.y, { fit: [inner.width, inner.height * 0.62], align: 'center' });
+      text = { x: inner.x, y: inner.y + inner.height * 0.66, width: inner.width };
+      doc.x = text.x;
+      doc.y = text.y;
+    }
+    doc.font('Helvetica').fontSize(7)
+      .text(unit.item_name, { width: text.width, height: 18, ellipsis: true })
+      .fillColor('#555555')
+      .text(unit.location, { width: text.width, lineBreak: false, ellipsis: true })
+      .fillColor('black');
+  });
+
+  if (units.length === 0) doc.font('Helvetica').fontSize(11).text('There are no units with an inventory code to label.');
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  LABEL_TYPES: Object.keys(SYMBOLOGIES),
+  toPng,
+  toSvg,
+  toLabelSheet
+};
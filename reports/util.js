@@ -0,0 +1,4 @@
+// "Lab Komputer 2" -> "lab-komputer-2", for download file names
+const slug = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+
+module.exports = { slug };
@@ -0,0 +1,103 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, conditions } = require('./util');
+
+// What an attachment is, for filtering; images default to photo, anything
+// else to other
+const KINDS = ['photo', 'invoice', 'manual', 'other'];
+
+// An attachment with the item it belongs to: its own, or its unit's. Where
+// the file is stored (storage_key, thumbnail_key) stays on the server.
+const ATTACHMENT_COLUMNS = `
+  a.id, i.id AS item_id, a.inventory_code_id, ic.kode_inventaris, i.name AS item_name, i.room_id,
+  a.kind, a.file_name, a.content_type, a.size, a.description, a.uploaded_by, a.created_at,
+  a.storage_key, a.thumbnail_key
+`;
+
+const ATTACHMENT_JOINS = `
+  LEFT JOIN inventory_codes ic ON ic.id = a.inventory_code_id
+  JOIN items i ON i.id = COALESCE(a.item_id, ic.item_id)
+`;
+
+// Attachments of trashed items and units stay hidden until they are restored
+const LIVE = 'i.deleted_at IS NULL AND (a.inventory_code_id IS NULL OR ic.deleted_at IS NULL)';
+
+// The attachments a trash purge of each type takes along (see trash.js)
+const PURGED_WITH = {
+  'serial-numbers': 'a.inventory_code_id = $1',
+  items: 'a.item_id = $1 OR a.inventory_code_id IN (SELECT id FROM inventory_codes WHERE item_id = $1)',
+  rooms: `a.item_id IN (SELECT id FROM items WHERE room_id = $1)
+    OR a.inventory_code_id IN (SELECT ic.id FROM inventory_codes ic JOIN items i ON i.id = ic.item_id WHERE i.room_id = $1)`
+};
+
+const toAttachment = (row) => row && { ...row, size: toCount(row.size) };
+
+function createAttachmentRepository(db) {
+  return {
+    // One page of attachments, newest first, and how many match in all.
+    // Filters: itemId (the item's own; with includeUnits its units' too),
+    // serialNumberId, kind.
+    async list({ itemId, serialNumberId, includeUnits = false, kind, limit = 100, offset = 0 } = {}) {
+      const filter = conditions();
+      filter.add(LIVE);
+      if (itemId) filter.add(includeUnits ? 'i.id = ?' : 'a.item_id = ?', itemId);
+      if (serialNumberId) filter.add('a.inventory_code_id = ?', serialNumberId);
+      if (kind) filter.add('a.kind = ?', kind);
+
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM attachments a ${ATTACHMENT_JOINS} ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM attachments a ${ATTACHMENT_JOINS}
+         ${filter.where()}
+         ORDER BY a.created_at DESC, a.id
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: rows.map(toAttachment), total: toCount(total) };
+    },
+
+    async findById(id) {
+      return toAttachment(await db.queryOne(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM attachments a ${ATTACHMENT_JOINS} WHERE a.id = $1 AND ${LIVE}`,
+        [id]
+      ));
+    },
+
+    // Belongs to either an item (itemId) or a unit (inventoryCodeId)
+    async create({
+      id = uuidv4(), itemId, inventoryCodeId, kind, fileName, contentType, size, storageKey, thumbnailKey,
+      description, uploadedBy
+    }) {
+      await db.run(
+        `INSERT INTO attachments
+           (id, item_id, inventory_code_id, kind, file_name, content_type, size, storage_key, thumbnail_key,
+            description, uploaded_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          id, itemId || null, inventoryCodeId || null, kind, fileName, contentType, size, storageKey,
+          thumbnailKey || null, description || '', uploadedBy, now()
+        ]
+      );
+      return this.findById(id);
+    },
+
+    async remove(id) {
+      const result = await db.run('DELETE FROM attachments WHERE id = $1', [id]);
+      return result.changes > 0;
+    },
+
+    // The stored files of every attachment a trash purge of `type` `id`
+    // deletes along with it, to remove once the purge is committed
+    async storageKeysUnder(type, id) {
+      const rows = await db.query(
+        `SELECT a.storage_key, a.thumbnail_key FROM attachments a WHERE ${PURGED_WITH[type]}`,
+        [id]
+      );
+      return rows.flatMap((row) => [row.storage_key, row.thumbnail_key]).filter(Boolean);
+    }
+  };
+}
+
+module.exports = createAttachmentRepository;
+module.exports.KINDS = KINDS;
@@ -0,0 +1,87 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, conditions } = require('./util');
+
+const ENTITIES = ['item', 'inventory_code', 'room', 'transfer', 'loan', 'maintenance', 'stock_take', 'attachment', 'category'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+const fromJson = (value) => (value ? JSON.parse(value) : null);
+
+const toEntry = (row) => row && {
+  id: row.id,
+  actor_id: row.actor_id,
+  actor_username: row.actor_username,
+  entity: row.entity,
+  entity_id: row.entity_id,
+  action: row.action,
+  before: fromJson(row.before_data),
+  after: fromJson(row.after_data),
+  created_at: row.created_at
+};
+
+// `onRecord(entry)` hears of every entry written, in the shape list()
+// returns them
+function createAuditRepository(db, { onRecord } = {}) {
+  return {
+    // Call inside the same transaction as the change it describes
+    async record({ actor, entity, entityId, action, before, after }) {
+      const entry = {
+        id: uuidv4(),
+        actor_id: actor ? actor.id : null,
+        actor_username: actor ? actor.username : null,
+        entity,
+        entity_id: entityId,
+        action,
+        before: before === undefined ? null : before,
+        after: after === undefined ? null : after,
+        created_at: now()
+      };
+      await db.run(
+        `INSERT INTO audit_log
+           (id, actor_id, actor_username, entity, entity_id, action, before_data, after_data, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          entry.id,
+          entry.actor_id,
+          entry.actor_username,
+          entity,
+          entityId,
+          action,
+          toJson(before),
+          toJson(after),
+          entry.created_at
+        ]
+      );
+      if (onRecord) onRecord(entry);
+    },
+
+    // One page of entries, newest first, and how many match in all.
+    // `from` / `to` are ISO timestamps (inclusive).
+    async list({ entity, entityId, action, userId, username, from, to, limit = 100, offset = 0 } = {}) {
+      const filter = conditions();
+      if (entity) filter.add('entity = ?', entity);
+      if (entityId) filter.add('entity_id = ?', entityId);
+      if (action) filter.add('action = ?', action);
+      if (userId) filter.add('actor_id = ?', userId);
+      if (username) filter.add('actor_username = ?', username);
+      if (from) filter.add('created_at >= ?', from);
+      if (to) filter.add('created_at <= ?', to);
+
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM audit_log ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(
+        `SELECT * FROM audit_log ${filter.where()}
+         ORDER BY created_at DESC, id
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: rows.map(toEntry), total: toCount(total) };
+    }
+  };
+}
+
+module.exports = createAuditRepository;
+module.exports.ENTITIES = ENTITIES;
+module.exports.ACTIONS = ACTIONS;
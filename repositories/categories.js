@@ -0,0 +1,256 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, toBoolean, placeholders, containsPattern } = require('./util');
+
+// What an attribute holds. Option attributes take one of a fixed list.
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'option'];
+
+// Attribute keys are what filters and request bodies use: ram_gb, ports
+const ATTRIBUTE_KEY = /^[a-z][a-z0-9_]*$/;
+
+const MAX_TEXT_VALUE = 200;
+
+// How a unit's attributes can be filtered: key=value (any case), key!=value,
+// key~text (contains), and number comparisons
+const FILTER_OPERATORS = ['>=', '<=', '!=', '=', '>', '<', '~'];
+const COMPARISONS = ['>', '>=', '<', '<='];
+
+const toAttribute = ({ key, label, type, unit, options, required }) => ({
+  key, label, type, unit: unit || null, options: options ? JSON.parse(options) : null, required: toBoolean(required)
+});
+
+// A stored value as the API shows it
+const decodeValue = (type, value) => {
+  if (type === 'number') return Number(value);
+  if (type === 'boolean') return value === 'true';
+  return value;
+};
+
+// The stored form of `value` for `attribute` ({ value, number }), or a
+// message saying why it does not fit
+function encodeValue(attribute, value) {
+  switch (attribute.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { problem: 'must be a number' };
+      return { value: String(number), number };
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return { problem: 'must be true or false' };
+      return { value: String(value), number: null };
+    case 'option':
+      if (!attribute.options.includes(value)) return { problem: `must be one of: ${attribute.options.join(', ')}` };
+      return { value, number: null };
+    default: {
+      if (typeof value !== 'string' && typeof value !== 'number') return { problem: 'must be a string' };
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_VALUE) return { problem: `must be at most ${MAX_TEXT_VALUE} characters` };
+      return { value: text, number: null };
+    }
+  }
+}
+
+// Checks `values` ({ key: value }) against a category's attributes. null
+// clears a value. With `complete`, required attributes that are left out
+// are errors too, as when a unit is added. Returns { values, errors }:
+// values are { key: { value, number } or null }, errors are keyed
+// attributes.<key> for the VALIDATION_FAILED response.
+function checkAttributes(category, values = {}, { complete = false } = {}) {
+  const errors = {};
+  const checked = {};
+  const byKey = new Map((category ? category.attributes : []).map((attribute) => [attribute.key, attribute]));
+
+  for (const [key, value] of Object.entries(values)) {
+    const attribute = byKey.get(key);
+    if (!attribute) {
+      errors[`attributes.${key}`] = category
+        ? `is not an attribute of ${category.name}`
+        : 'cannot be set; the item has no category';
+    } else if (value === null || value === '') {
+      if (attribute.required) errors[`attributes.${key}`] = 'is required';
+      else checked[key] = null;
+    } else {
+      const encoded = encodeValue(attribute, value);
+      if (encoded.problem) errors[`attributes.${key}`] = encoded.problem;
+      else checked[key] = { value: encoded.value, number: encoded.number };
+    }
+  }
+  if (complete) {
+    for (const attribute of byKey.values()) {
+      if (attribute.required && !(attribute.key in values)) errors[`attributes.${attribute.key}`] = 'is required';
+    }
+  }
+  return { values: checked, errors };
+}
+
+// A filter such as "ram_gb>=8,cpu~i5" as [{ key, operator, value }], or a
+// message saying what is wrong with it
+function parseAttributeFilters(text) {
+  const filters = [];
+  for (const part of text.split(',').map((entry) => entry.trim()).filter(Boolean)) {
+    const operator = FILTER_OPERATORS
+      .map((candidate) => [candidate, part.indexOf(candidate)])
+      .filter(([, index]) => index > 0)
+      .sort((a, b) => a[1] - b[1] || b[0].length - a[0].length)[0];
+    if (!operator) return { problem: `"${part}" needs an operator (${FILTER_OPERATORS.join(' ')})` };
+    const [symbol, index] = operator;
+    const key = part.slice(0, index).trim();
+    const value = part.slice(index + symbol.length).trim();
+    if (!ATTRIBUTE_KEY.test(key)) return { problem: `"${key}" is not an attribute key` };
+    if (value === '') return { problem: `"${part}" needs a value` };
+    if (COMPARISONS.includes(symbol) && !Number.isFinite(Number(value))) {
+      return { problem: `"${part}" compares with ${symbol}, which needs a number` };
+    }
+    filters.push({ key, operator: symbol, value });
+  }
+  return { filters };
+}
+
+// One condition per filter for conditions().add, matching the unit whose id
+// is in `unitColumn`
+function attributeConditions(filters, unitColumn) {
+  const lookup = `SELECT 1 FROM unit_attributes v WHERE v.inventory_code_id = ${unitColumn} AND v.attribute_key = ?`;
+  return filters.map(({ key, operator, value }) => {
+    if (operator === '~') {
+      return [`EXISTS (${lookup} AND LOWER(v.value) LIKE ? ESCAPE '\\')`, key, containsPattern(value)];
+    }
+    if (COMPARISONS.includes(operator)) {
+      return [`EXISTS (${lookup} AND v.value_number ${operator} ?)`, key, Number(value)];
+    }
+    const number = Number.isFinite(Number(value)) ? Number(value) : null;
+    const equal = `EXISTS (${lookup} AND (LOWER(v.value) = ? OR v.value_number = ?))`;
+    return [operator === '=' ? equal : `NOT ${equal}`, key, value.toLowerCase(), number];
+  });
+}
+
+const CATEGORY_COLUMNS = `
+  c.*, (SELECT COUNT(*) FROM items i WHERE i.category_id = c.id AND i.deleted_at IS NULL) AS item_count
+`;
+
+// Categories and the attributes that describe their units. Items belong to
+// at most one category; their units' values are kept by inventoryCodes.
+function createCategoryRepository(db) {
+  const withAttributes = async (rows) => {
+    if (rows.length === 0) return [];
+    const ids = rows.map((row) => row.id);
+    const attributes = await db.query(
+      `SELECT * FROM category_attributes WHERE category_id IN (${placeholders(ids)}) ORDER BY position`,
+      ids
+    );
+    return rows.map((row) => ({
+      ...row,
+      item_count: toCount(row.item_count),
+      attributes: attributes.filter((attribute) => attribute.category_id === row.id).map(toAttribute)
+    }));
+  };
+
+  // Deletes the values units of the category's items have for attributes
+  // it no longer defines, or for options it no longer offers
+  const pruneValues = async (categoryId, removedOptions) => {
+    const units = 'SELECT ic.id FROM inventory_codes ic JOIN items i ON i.id = ic.item_id WHERE i.category_id = $1';
+    await db.run(
+      `DELETE FROM unit_attributes WHERE inventory_code_id IN (${units})
+       AND attribute_key NOT IN (SELECT key FROM category_attributes WHERE category_id = $1)`,
+      [categoryId]
+    );
+    for (const [key, options] of removedOptions) {
+      await db.run(
+        `DELETE FROM unit_attributes WHERE inventory_code_id IN (${units})
+         AND attribute_key = $2 AND value IN (${placeholders(options, 2)})`,
+        [categoryId, key, ...options]
+      );
+    }
+  };
+
+  return {
+    // Every category with its attributes and how many items are in it, by name
+    async list() {
+      const rows = await db.query(`SELECT ${CATEGORY_COLUMNS} FROM categories c ORDER BY LOWER(c.name), c.id`);
+      return withAttributes(rows);
+    },
+
+    async findById(id) {
+      const row = await db.queryOne(`SELECT ${CATEGORY_COLUMNS} FROM categories c WHERE c.id = $1`, [id]);
+      return row && (await withAttributes([row]))[0];
+    },
+
+    // Any case
+    async findByName(name) {
+      const row = await db.queryOne(`SELECT ${CATEGORY_COLUMNS} FROM categories c WHERE LOWER(c.name) = LOWER($1)`, [name]);
+      return row && (await withAttributes([row]))[0];
+    },
+
+    // `attributes` are { key, label, type, unit, options, required }, in the
+    // order they are shown
+    async create({ name, description, attributes = [] }) {
+      const id = uuidv4();
+      const timestamp = now();
+      await db.run(
+        'INSERT INTO categories (id, name, description, created_at, updated_at) VALUES ($1, $2, $3, $4, $5)',
+        [id, name, description || '', timestamp, timestamp]
+      );
+      await this.setAttributes(id, attributes);
+      return this.findById(id);
+    },
+
+    async update(id, { name, description, attributes }) {
+      await db.run(
+        'UPDATE categories SET name = $1, description = $2, updated_at = $3 WHERE id = $4',
+        [name, description, now(), id]
+      );
+      if (attributes) await this.setAttributes(id, attributes);
+      return this.findById(id);
+    },
+
+    // Replaces the category's attributes, matched by key. Units lose their
+    // values for attributes that are dropped and for options that are. The
+    // caller checks that no attribute changes type.
+    async setAttributes(id, attributes) {
+      const existing = await db.query('SELECT * FROM category_attributes WHERE category_id = $1', [id]);
+      const byKey = new Map(existing.map((row) => [row.key, toAttribute(row)]));
+      const removedOptions = [];
+
+      await db.run(
+        `DELETE FROM category_attributes WHERE category_id = $1
+         ${attributes.length > 0 ? `AND key NOT IN (${placeholders(attributes.map((a) => a.key), 1)})` : ''}`,
+        [id, ...attributes.map((attribute) => attribute.key)]
+      );
+      for (const [position, attribute] of attributes.entries()) {
+        const { key, label, type, unit, options, required } = attribute;
+        const values = [label, type, unit || null, options ? JSON.stringify(options) : null, Boolean(required), position];
+        const before = byKey.get(key);
+        if (before) {
+          await db.run(
+            `UPDATE category_attributes SET label = $1, type = $2, unit = $3, options = $4, required = $5, position = $6
+             WHERE category_id = $7 AND key = $8`,
+            [...values, id, key]
+          );
+          const dropped = (before.options || []).filter((option) => !(options || []).includes(option));
+          if (dropped.length > 0) removedOptions.push([key, dropped]);
+        } else {
+          await db.run(
+            `INSERT INTO category_attributes (id, category_id, key, label, type, unit, options, required, position)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [uuidv4(), id, key, ...values]
+          );
+        }
+      }
+      await pruneValues(id, removedOptions);
+    },
+
+    // Items in the trash let go of the category; the caller checks that no
+    // live item is in it
+    async remove(id) {
+      await db.run('UPDATE items SET category_id = NULL WHERE category_id = $1', [id]);
+      const result = await db.run('DELETE FROM categories WHERE id = $1', [id]);
+      return result.changes > 0;
+    }
+  };
+}
+
+module.exports = createCategoryRepository;
+module.exports.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+module.exports.ATTRIBUTE_KEY = ATTRIBUTE_KEY;
+module.exports.decodeValue = decodeValue;
+module.exports.checkAttributes = checkAttributes;
+module.exports.parseAttributeFilters = parseAttributeFilters;
+module.exports.attributeConditions = attributeConditions;
@@ -0,0 +1,76 @@
+// Generated inventory codes follow KODE_PATTERN (default
+// LAB-{ROOM}-{YEAR}-{SEQ}). Tokens:
+//   {ROOM}   the room's code, or initials made from its name
+//   {YEAR}   year the unit was added; {MONTH} its two-digit month
+//   {SEQ}    counter, zero-padded to 3 digits ({SEQ:5} for 5)
+// The counter belongs to everything around it, so with the default pattern
+// each room starts again at 001 every year.
+
+const DEFAULT_PATTERN = 'LAB-{ROOM}-{YEAR}-{SEQ}';
+const TOKEN = /\{(ROOM|YEAR|MONTH|SEQ)(?::(\d+))?\}/g;
+const SEQ_WIDTH = 3;
+
+// What is wrong with `pattern`, or null when it has exactly one {SEQ} and
+// only known tokens
+function patternProblem(pattern) {
+  const unknown = pattern.replace(TOKEN, '').match(/\{[^}]*\}/);
+  if (unknown) return `has an unknown token ${unknown[0]}`;
+  const sequences = [...pattern.matchAll(TOKEN)].filter(([, token]) => token === 'SEQ');
+  if (sequences.length !== 1) return 'needs exactly one {SEQ} token';
+  return null;
+}
+
+const KODE_PATTERN = process.env.KODE_PATTERN || DEFAULT_PATTERN;
+if (patternProblem(KODE_PATTERN)) {
+  throw new Error(`KODE_PATTERN ${patternProblem(KODE_PATTERN)}`);
+}
+
+// "Lab Komputer 2" -> "LK2", "Lab FKI" -> "LFKI": acronyms and numbers are
+// kept whole, other words shorten to their first letter
+const roomCode = (room) => room.code || room.name
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map((word) => (/^[A-Z0-9]+$/.test(word) ? word : word[0].toUpperCase()))
+  .join('') || 'ROOM';
+
+function createCodeSequenceRepository(db) {
+  return {
+    // The next unused code for a unit added to `room` at `addedAt` (an ISO
+    // timestamp; now by default), whose year and month are taken in UTC like
+    // every other date here. Advances the counter, so call it inside the
+    // transaction that stores the unit. Codes already taken, say entered by
+    // hand, are skipped.
+    async next(room, addedAt, pattern = KODE_PATTERN) {
+      const date = addedAt ? new Date(addedAt) : new Date();
+      const values = {
+        ROOM: roomCode(room),
+        YEAR: String(date.getUTCFullYear()),
+        MONTH: String(date.getUTCMonth() + 1).padStart(2, '0')
+      };
+
+      let width = SEQ_WIDTH;
+      const scope = pattern.replace(TOKEN, (match, token, digits) => {
+        if (token !== 'SEQ') return values[token];
+        width = digits ? parseInt(digits, 10) : SEQ_WIDTH;
+        return '{SEQ}';
+      });
+
+      for (;;) {
+        const { last_value: value } = await db.queryOne(
+          `INSERT INTO code_sequences (scope, last_value) VALUES ($1, 1)
+           ON CONFLICT (scope) DO UPDATE SET last_value = code_sequences.last_value + 1
+           RETURNING last_value`,
+          [scope]
+        );
+        const code = scope.replace('{SEQ}', String(value).padStart(width, '0'));
+        const taken = await db.queryOne('SELECT id FROM inventory_codes WHERE kode_inventaris = $1', [code]);
+        if (!taken) return code;
+      }
+    }
+  };
+}
+
+module.exports = createCodeSequenceRepository;
+module.exports.KODE_PATTERN = KODE_PATTERN;
+module.exports.roomCode = roomCode;
+module.exports.patternProblem = patternProblem;
@@ -0,0 +1,57 @@
+const createItemRepository = require('./items');
+const createInventoryCodeRepository = require('./inventoryCodes');
+const createRoomRepository = require('./rooms');
+const createTransferRepository = require('./transfers');
+const createUserRepository = require('./users');
+const createSessionRepository = require('./sessions');
+const createAuditRepository = require('./audit');
+const createSearchRepository = require('./search');
+const createCodeSequenceRepository = require('./codeSequences');
+const createReportRepository = require('./reports');
+const createLoanRepository = require('./loans');
+const createMaintenanceRepository = require('./maintenance');
+const createTrashRepository = require('./trash');
+const createStatsRepository = require('./stats');
+const createStockTakeRepository = require('./stockTakes');
+const createAttachmentRepository = require('./attachments');
+const createCategoryRepository = require('./categories');
+const createStockMovementRepository = require('./stockMovements');
+
+// Builds the repositories on top of a database adapter (or a transaction
+// handle from one). `transaction(work)` hands `work` a fresh set bound to the
+// transaction, so several repositories can commit or roll back together.
+// `onChange(entry)` is called with each audit entry once it is committed:
+// straight away outside a transaction, after the commit inside one, and
+// never for a transaction that rolls back.
+function createRepositories(db, { onChange } = {}) {
+  return {
+    items: createItemRepository(db),
+    inventoryCodes: createInventoryCodeRepository(db),
+    rooms: createRoomRepository(db),
+    transfers: createTransferRepository(db),
+    users: createUserRepository(db),
+    sessions: createSessionRepository(db),
+    audit: createAuditRepository(db, { onRecord: onChange }),
+    search: createSearchRepository(db),
+    codeSequences: createCodeSequenceRepository(db),
+    reports: createReportRepository(db),
+    loans: createLoanRepository(db),
+    maintenance: createMaintenanceRepository(db),
+    trash: createTrashRepository(db),
+    stats: createStatsRepository(db),
+    stockTakes: createStockTakeRepository(db),
+    attachments: createAttachmentRepository(db),
+    categories: createCategoryRepository(db),
+    stockMovements: createStockMovementRepository(db),
+    async transaction(work) {
+      const pending = [];
+      const result = await db.transaction((tx) => work(createRepositories(tx, {
+        onChange: onChange && ((entry) => pending.push(entry))
+      })));
+      pending.forEach((entry) => onChange(entry));
+      return result;
+    }
+  };
+}
+
+module.exports = createRepositories;
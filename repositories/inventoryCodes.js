@@ -0,0 +1,361 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, placeholders, conditions, containsPattern, orderBy } = require('./util');
+const { decodeValue, attributeConditions } = require('./categories');
+
+// The condition a unit can be in. A unit is disposed of (dihapuskan) for
+// good; every other status can be left again, along STATUS_TRANSITIONS.
+const STATUSES = ['good', 'minor_damage', 'broken', 'under_repair', 'lost', 'disposed'];
+
+// Where each status may go next. A unit under repair is with a technician,
+// so it cannot go missing from the lab; a lost one comes back in whatever
+// condition it is found in, or is written off.
+const STATUS_TRANSITIONS = {
+  good: ['minor_damage', 'broken', 'under_repair', 'lost', 'disposed'],
+  minor_damage: ['good', 'broken', 'under_repair', 'lost', 'disposed'],
+  broken: ['good', 'minor_damage', 'under_repair', 'lost', 'disposed'],
+  under_repair: ['good', 'minor_damage', 'broken', 'disposed'],
+  lost: ['good', 'minor_damage', 'broken', 'disposed'],
+  disposed: []
+};
+
+// The count each status has in /items and the reports, by its Indonesian name
+const STATUS_COUNTS = {
+  good: 'baik',
+  minor_damage: 'rusak_ringan',
+  broken: 'rusak',
+  under_repair: 'dalam_perbaikan',
+  lost: 'hilang',
+  disposed: 'dihapuskan'
+};
+
+// Other spellings of each status, as people type them into spreadsheets
+const STATUS_ALIASES = {
+  good: ['baik'],
+  minor_damage: ['rusak ringan'],
+  broken: ['rusak', 'rusak berat'],
+  under_repair: ['dalam perbaikan', 'diperbaiki', 'in repair'],
+  lost: ['hilang'],
+  disposed: ['dihapuskan', 'dihapus', 'written off']
+};
+
+// Any case, padded, with spaces, dashes or underscores between words
+const normalize = (text) => String(text).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// The status `text` stands for, or undefined
+const toStatus = (text) => {
+  const key = normalize(text);
+  return STATUSES.find((status) => normalize(status) === key || STATUS_ALIASES[status].includes(key));
+};
+
+// Why a unit cannot go from status `from` to `to`, or null when it can
+const statusChangeProblem = (from, to) => {
+  if (from === to || STATUS_TRANSITIONS[from].includes(to)) return null;
+  if (STATUS_TRANSITIONS[from].length === 0) return `cannot change once a unit is ${from}`;
+  return `cannot go from ${from} to ${to} (only to ${STATUS_TRANSITIONS[from].join(', ')})`;
+};
+
+// Years over which a unit loses its value when its item sets none; four is
+// the first group (computers and the like) of the tax depreciation rules
+const DEFAULT_USEFUL_LIFE_YEARS = parseInt(process.env.DEFAULT_USEFUL_LIFE_YEARS, 10) || 4;
+
+// Whole months from `from` to `to`, counting a month once its day is reached
+const monthsBetween = (from, to) => {
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+  return to.getUTCDate() < from.getUTCDate() ? months - 1 : months;
+};
+
+// The unit's value at `at` after straight-line depreciation to nothing over
+// its item's useful life, counted in whole months from the purchase date (or
+// the date it was added). Null when its price is not known.
+const bookValue = (unit, at = new Date()) => {
+  if (unit.purchase_price === null || unit.purchase_price === undefined) return null;
+  const price = Number(unit.purchase_price);
+  const lifeMonths = (unit.useful_life_years || DEFAULT_USEFUL_LIFE_YEARS) * 12;
+  const elapsed = Math.max(0, monthsBetween(new Date(unit.purchase_date || unit.date_added), at));
+  return Math.round((price * Math.max(0, lifeMonths - elapsed)) / lifeMonths);
+};
+
+const withBookValue = (unit) => unit && { ...unit, book_value: bookValue(unit) };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Column values for the procurement fields, in table order
+const procurementValues = ({ purchaseDate, purchasePrice, fundingSource, vendor, warrantyUntil }) => [
+  purchaseDate || null,
+  purchasePrice ?? null,
+  fundingSource || null,
+  vendor || null,
+  warrantyUntil || null
+];
+
+// What GET /serial-numbers can sort by (text ignoring case)
+const CODE_SORTS = {
+  kode_inventaris: 'LOWER(ic.kode_inventaris)',
+  spesifikasi: 'LOWER(ic.spesifikasi)',
+  status: 'ic.status',
+  date_added: 'ic.date_added',
+  purchase_date: 'ic.purchase_date',
+  purchase_price: 'ic.purchase_price',
+  warranty_until: 'ic.warranty_until',
+  created_at: 'ic.created_at',
+  updated_at: 'ic.updated_at',
+  item_name: 'LOWER(i.name)',
+  location: 'LOWER(r.name)'
+};
+
+function createInventoryCodeRepository(db) {
+  // Adds each unit's attribute values as { key: value }, in the order its
+  // category lists them. Values for attributes the category no longer has
+  // are left out.
+  const withAttributes = async (units) => {
+    const ids = units.filter(Boolean).map((unit) => unit.id);
+    if (ids.length === 0) return units;
+    const values = await db.query(
+      `SELECT v.inventory_code_id, v.attribute_key, v.value, ca.type
+       FROM unit_attributes v
+       JOIN inventory_codes ic ON ic.id = v.inventory_code_id
+       JOIN items i ON i.id = ic.item_id
+       JOIN category_attributes ca ON ca.category_id = i.category_id AND ca.key = v.attribute_key
+       WHERE v.inventory_code_id IN (${placeholders(ids)})
+       ORDER BY ca.position`,
+      ids
+    );
+    return units.map((unit) => unit && {
+      ...unit,
+      attributes: Object.fromEntries(values
+        .filter((row) => row.inventory_code_id === unit.id)
+        .map((row) => [row.attribute_key, decodeValue(row.type, row.value)]))
+    });
+  };
+
+  return {
+    // One page of codes with their item and room, and how many match in all.
+    // Filters: itemId, roomId, location (room name), status, name (item name
+    // contains), from / to (date_added, ISO timestamps), warrantyWithinDays
+    // (the warranty ends between now and that many days from now),
+    // categoryId, attributes (parsed by categories.parseAttributeFilters).
+    async list({
+      itemId, roomId, location, status, name, from, to, warrantyWithinDays, categoryId, attributes = [],
+      sort = 'date_added', order = 'desc', limit = 100, offset = 0
+    } = {}) {
+      const filter = conditions();
+      filter.add('ic.deleted_at IS NULL');
+      if (itemId) filter.add('ic.item_id = ?', itemId);
+      if (roomId) filter.add('i.room_id = ?', roomId);
+      if (location) filter.add('r.name = ?', location);
+      if (status) filter.add('ic.status = ?', status);
+      if (name) filter.add("LOWER(i.name) LIKE ? ESCAPE '\\'", containsPattern(name));
+      if (from) filter.add('ic.date_added >= ?', from);
+      if (to) filter.add('ic.date_added <= ?', to);
+      if (warrantyWithinDays !== undefined) {
+        const start = new Date();
+        filter.add(
+          'ic.warranty_until >= ? AND ic.warranty_until <= ?',
+          start.toISOString(), new Date(start.getTime() + warrantyWithinDays * DAY_MS).toISOString()
+        );
+      }
+      if (categoryId) filter.add('i.category_id = ?', categoryId);
+      attributeConditions(attributes, 'ic.id').forEach((condition) => filter.add(...condition));
+
+      const source = `
+        FROM inventory_codes ic
+        LEFT JOIN items i ON ic.item_id = i.id
+        LEFT JOIN rooms r ON r.id = i.room_id
+        ${filter.where()}
+      `;
+      const { total } = await db.queryOne(`SELECT COUNT(*) AS total ${source}`, filter.params);
+      const data = await db.query(
+        `SELECT ic.*, i.name as item_name, i.room_id, i.category_id, i.useful_life_years, r.name as location
+         ${source}
+         ${orderBy(CODE_SORTS, sort, order, 'ic.id')}
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: await withAttributes(data.map(withBookValue)), total: toCount(total) };
+    },
+
+    // Single code joined with the item it belongs to, with its book value
+    // and attributes. Like every lookup here except findTakenCodes, it skips
+    // units in the trash.
+    async findById(id) {
+      const unit = withBookValue(await db.queryOne(`
+        SELECT
+          ic.*,
+          i.name as item_name,
+          i.room_id,
+          r.name as location,
+          i.information as item_information,
+          i.category_id,
+          i.useful_life_years
+        FROM inventory_codes ic
+        LEFT JOIN items i ON ic.item_id = i.id
+        LEFT JOIN rooms r ON r.id = i.room_id
+        WHERE ic.id = $1 AND ic.deleted_at IS NULL
+      `, [id]));
+      return unit && (await withAttributes([unit]))[0];
+    },
+
+    findByCode(kodeInventaris) {
+      return db.queryOne(
+        'SELECT * FROM inventory_codes WHERE kode_inventaris = $1 AND deleted_at IS NULL',
+        [kodeInventaris]
+      );
+    },
+
+    // Those of `codes` that some unit already has, counting units in the
+    // trash, which keep their codes in case they are restored
+    async findTakenCodes(codes) {
+      if (codes.length === 0) return [];
+      const rows = await db.query(
+        `SELECT kode_inventaris FROM inventory_codes WHERE kode_inventaris IN (${placeholders(codes)})`,
+        codes
+      );
+      return rows.map((row) => row.kode_inventaris);
+    },
+
+    listByItem(itemId) {
+      return db.query(
+        `SELECT id, kode_inventaris, spesifikasi, status
+         FROM inventory_codes
+         WHERE item_id = $1 AND deleted_at IS NULL
+         ORDER BY date_added ASC`,
+        [itemId]
+      );
+    },
+
+    // Also opens the unit's location and status history. `procurement` is
+    // as for setProcurement.
+    async create({ id = uuidv4(), itemId, kodeInventaris, spesifikasi, status, dateAdded, changedBy, procurement = {} }) {
+      const timestamp = now();
+      const addedAt = dateAdded ? new Date(dateAdded).toISOString() : timestamp;
+      await db.run(
+        `INSERT INTO inventory_codes
+           (id, item_id, kode_inventaris, spesifikasi, status, date_added, created_at, updated_at,
+            purchase_date, purchase_price, funding_source, vendor, warranty_until)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [
+          id,
+          itemId,
+          kodeInventaris || null,
+          spesifikasi || '',
+          status || 'good',
+          addedAt,
+          timestamp,
+          timestamp,
+          ...procurementValues(procurement)
+        ]
+      );
+      await db.run(
+        `INSERT INTO unit_location_history (id, inventory_code_id, room_id, room_name, started_at)
+         SELECT $1, $2, r.id, r.name, $3
+         FROM items i JOIN rooms r ON r.id = i.room_id
+         WHERE i.id = $4`,
+        [uuidv4(), id, addedAt, itemId]
+      );
+      await db.run(
+        `INSERT INTO unit_status_history (id, inventory_code_id, from_status, to_status, changed_by, changed_at)
+         VALUES ($1, $2, NULL, $3, $4, $5)`,
+        [uuidv4(), id, status || 'good', changedBy || null, addedAt]
+      );
+      return this.findById(id);
+    },
+
+    // Returns the updated code, or undefined when it does not exist. A new
+    // status goes into the unit's status history with who changed it and
+    // why; callers check statusChangeProblem first.
+    async update(id, { kodeInventaris, spesifikasi, status }, { changedBy, note } = {}) {
+      const before = await db.queryOne('SELECT status FROM inventory_codes WHERE id = $1 AND deleted_at IS NULL', [id]);
+      if (!before) return undefined;
+      const timestamp = now();
+      await db.run(
+        'UPDATE inventory_codes SET kode_inventaris = $1, spesifikasi = $2, status = $3, updated_at = $4 WHERE id = $5',
+        [kodeInventaris, spesifikasi, status, timestamp, id]
+      );
+      if (status !== before.status) {
+        await db.run(
+          `INSERT INTO unit_status_history (id, inventory_code_id, from_status, to_status, note, changed_by, changed_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [uuidv4(), id, before.status, status, note || '', changedBy || null, timestamp]
+        );
+      }
+      return this.findById(id);
+    },
+
+    // Replaces the unit's procurement data: purchaseDate, purchasePrice
+    // (whole rupiah), fundingSource, vendor, warrantyUntil; missing ones are
+    // cleared
+    async setProcurement(id, procurement) {
+      await db.run(
+        `UPDATE inventory_codes
+         SET purchase_date = $1, purchase_price = $2, funding_source = $3, vendor = $4, warranty_until = $5,
+             updated_at = $6
+         WHERE id = $7 AND deleted_at IS NULL`,
+        [...procurementValues(procurement), now(), id]
+      );
+      return this.findById(id);
+    },
+
+    // Sets or clears attribute values, as categories.checkAttributes returns
+    // them ({ key: { value, number } or null }); others are left as they are
+    async setAttributes(id, values) {
+      for (const [key, entry] of Object.entries(values)) {
+        await db.run('DELETE FROM unit_attributes WHERE inventory_code_id = $1 AND attribute_key = $2', [id, key]);
+        if (entry) {
+          await db.run(
+            'INSERT INTO unit_attributes (inventory_code_id, attribute_key, value, value_number) VALUES ($1, $2, $3, $4)',
+            [id, key, entry.value, entry.number]
+          );
+        }
+      }
+      if (Object.keys(values).length > 0) {
+        await db.run('UPDATE inventory_codes SET updated_at = $1 WHERE id = $2', [now(), id]);
+      }
+      return this.findById(id);
+    },
+
+    // Deletes the values the units of `itemId` have for attributes its
+    // category does not define, after the item changes category
+    async pruneAttributes(itemId) {
+      const result = await db.run(
+        `DELETE FROM unit_attributes
+         WHERE inventory_code_id IN (SELECT id FROM inventory_codes WHERE item_id = $1)
+           AND attribute_key NOT IN (
+             SELECT ca.key FROM category_attributes ca JOIN items i ON i.category_id = ca.category_id WHERE i.id = $1
+           )`,
+        [itemId]
+      );
+      return result.changes;
+    },
+
+    // The unit's status changes, oldest first, optionally those between
+    // `from` and `to`
+    statusHistory(id, { from, to } = {}) {
+      const filter = conditions();
+      filter.add('inventory_code_id = ?', id);
+      if (from) filter.add('changed_at >= ?', from);
+      if (to) filter.add('changed_at <= ?', to);
+      return db.query(
+        `SELECT id, from_status, to_status, note, changed_by, changed_at
+         FROM unit_status_history
+         ${filter.where()}
+         ORDER BY changed_at, id`,
+        filter.params
+      );
+    },
+
+    async count() {
+      const row = await db.queryOne('SELECT COUNT(*) as count FROM inventory_codes WHERE deleted_at IS NULL');
+      return toCount(row.count);
+    }
+  };
+}
+
+module.exports = createInventoryCodeRepository;
+module.exports.STATUSES = STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.STATUS_COUNTS = STATUS_COUNTS;
+module.exports.toStatus = toStatus;
+module.exports.statusChangeProblem = statusChangeProblem;
+module.exports.SORTS = Object.keys(CODE_SORTS);
+module.exports.DEFAULT_USEFUL_LIFE_YEARS = DEFAULT_USEFUL_LIFE_YEARS;
+module.exports.bookValue = bookValue;
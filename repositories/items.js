@@ -0,0 +1,233 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, conditions, containsPattern, orderBy } = require('./util');
+const { STATUS_COUNTS } = require('./inventoryCodes');
+const { attributeConditions } = require('./categories');
+
+const COUNTS = ['jumlah', ...Object.values(STATUS_COUNTS)];
+
+const withCounts = (row) => row && {
+  ...row,
+  ...Object.fromEntries(COUNTS.map((count) => [count, toCount(row[count])]))
+};
+
+// One COUNT per status, named as in STATUS_COUNTS (baik, rusak, ...)
+const STATUS_COUNT_COLUMNS = Object.entries(STATUS_COUNTS)
+  .map(([status, count]) => `COUNT(CASE WHEN ic.status = '${status}' THEN 1 END) AS ${count}`)
+  .join(',\n          ');
+
+// Items are tracked unit by unit, each with its inventory code, or, for
+// consumables, by quantity (see stockMovements)
+const TRACKING = ['unit', 'quantity'];
+
+// Items carry the name of their room as `location`, as they did before
+// rooms became a foreign key, and the name of their category.
+const ITEM_COLUMNS = 'i.*, r.name AS location, (SELECT c.name FROM categories c WHERE c.id = i.category_id) AS category_name';
+
+// Every query here skips items (and units) that are in the trash; a live
+// item is always in a live room.
+
+// What GET /items can sort by; text sorts ignore case, as they would
+// under Postgres' default collation but not SQLite's
+const ITEM_SORTS = {
+  name: 'LOWER(i.name)',
+  information: 'LOWER(i.information)',
+  location: 'LOWER(r.name)',
+  created_at: 'i.created_at',
+  updated_at: 'i.updated_at',
+  quantity: 'i.quantity',
+  ...Object.fromEntries(COUNTS.map((count) => [count, count]))
+};
+
+function createItemRepository(db) {
+  return {
+    // One page of items with unit totals per status, and how many items match
+    // in all. Filters: roomId, location (room name), name (contains), status
+    // (has a unit in it), from / to (created_at, ISO timestamps), categoryId,
+    // attributes (has a unit matching every one, see
+    // categories.parseAttributeFilters), tracking.
+    async listWithCounts({
+      roomId, location, name, status, from, to, categoryId, attributes = [], tracking,
+      sort = 'created_at', order = 'desc', limit = 100, offset = 0
+    } = {}) {
+      const filter = conditions();
+      filter.add('i.deleted_at IS NULL');
+      if (roomId) filter.add('i.room_id = ?', roomId);
+      if (location) filter.add('r.name = ?', location);
+      if (name) filter.add("LOWER(i.name) LIKE ? ESCAPE '\\'", containsPattern(name));
+      if (status) {
+        filter.add(
+          'EXISTS (SELECT 1 FROM inventory_codes s WHERE s.item_id = i.id AND s.status = ? AND s.deleted_at IS NULL)',
+          status
+        );
+      }
+      if (from) filter.add('i.created_at >= ?', from);
+      if (to) filter.add('i.created_at <= ?', to);
+      if (categoryId) filter.add('i.category_id = ?', categoryId);
+      if (tracking) filter.add('i.tracking = ?', tracking);
+      if (attributes.length > 0) {
+        const matches = attributeConditions(attributes, 's.id');
+        filter.add(
+          `EXISTS (SELECT 1 FROM inventory_codes s WHERE s.item_id = i.id AND s.deleted_at IS NULL
+             AND ${matches.map(([sql]) => sql).join(' AND ')})`,
+          ...matches.flatMap(([, ...params]) => params)
+        );
+      }
+
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM items i JOIN rooms r ON r.id = i.room_id ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(`
+        SELECT
+          ${ITEM_COLUMNS},
+          COUNT(ic.id) AS jumlah,
+          ${STATUS_COUNT_COLUMNS}
+        FROM items i
+        JOIN rooms r ON r.id = i.room_id
+        LEFT JOIN inventory_codes ic ON ic.item_id = i.id AND ic.deleted_at IS NULL
+        ${filter.where()}
+        GROUP BY i.id, r.name
+        ${orderBy(ITEM_SORTS, sort, order, 'i.id')}
+        LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}
+      `, [...filter.params, limit, offset]);
+      return { data: rows.map(withCounts), total: toCount(total) };
+    },
+
+    async listWithSerialCounts() {
+      const rows = await db.query(`
+        SELECT ${ITEM_COLUMNS}, COUNT(ic.id) as serial_count
+        FROM items i
+        JOIN rooms r ON r.id = i.room_id
+        LEFT JOIN inventory_codes ic ON i.id = ic.item_id AND ic.deleted_at IS NULL
+        WHERE i.deleted_at IS NULL
+        GROUP BY i.id, r.name
+        ORDER BY i.created_at DESC
+      `);
+      return rows.map((row) => ({ ...row, serial_count: toCount(row.serial_count) }));
+    },
+
+    findById(id) {
+      return db.queryOne(
+        `SELECT ${ITEM_COLUMNS} FROM items i JOIN rooms r ON r.id = i.room_id
+         WHERE i.id = $1 AND i.deleted_at IS NULL`,
+        [id]
+      );
+    },
+
+    // `usefulLifeYears` is how long its units take to lose their value (see
+    // inventoryCodes.bookValue); left out, the default applies. A consumable
+    // (`tracking` 'quantity') starts with no stock; see stockMovements.
+    async create({
+      id = uuidv4(), name, information, roomId, usefulLifeYears, categoryId, tracking = 'unit', minQuantity
+    }) {
+      const timestamp = now();
+      await db.run(
+        `INSERT INTO items
+           (id, name, information, room_id, useful_life_years, category_id, tracking, min_quantity, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          id, name, information || '', roomId, usefulLifeYears || null, categoryId || null,
+          tracking, minQuantity ?? null, timestamp, timestamp
+        ]
+      );
+      return this.findById(id);
+    },
+
+    // Returns the updated item, or undefined when it does not exist
+    async update(id, { name, information, roomId, usefulLifeYears, categoryId, minQuantity }) {
+      const result = await db.run(
+        `UPDATE items
+         SET name = $1, information = $2, room_id = $3, useful_life_years = $4, category_id = $5,
+             min_quantity = $6, updated_at = $7
+         WHERE id = $8 AND deleted_at IS NULL`,
+        [name, information, roomId, usefulLifeYears || null, categoryId || null, minQuantity ?? null, now(), id]
+      );
+      if (result.changes === 0) return undefined;
+      return this.findById(id);
+    },
+
+    listByRoom(roomId) {
+      return db.query(
+        `SELECT ${ITEM_COLUMNS} FROM items i JOIN rooms r ON r.id = i.room_id
+         WHERE i.room_id = $1 AND i.deleted_at IS NULL`,
+        [roomId]
+      );
+    },
+
+    // An item in `roomId` with the same name and information, if there is
+    // one; when `categoryId` is given (null for none), in that category too,
+    // and when `tracking` is, tracked that way
+    findMatchInRoom(roomId, { name, information, categoryId, tracking }) {
+      const filter = conditions();
+      filter.add('i.room_id = ?', roomId);
+      filter.add('i.name = ?', name);
+      filter.add("COALESCE(i.information, '') = ?", information || '');
+      filter.add('i.deleted_at IS NULL');
+      if (categoryId !== undefined) filter.add("COALESCE(i.category_id, '') = ?", categoryId || '');
+      if (tracking) filter.add('i.tracking = ?', tracking);
+      return db.queryOne(
+        `SELECT ${ITEM_COLUMNS} FROM items i JOIN rooms r ON r.id = i.room_id
+         ${filter.where()}
+         ORDER BY i.created_at
+         LIMIT 1`,
+        filter.params
+      );
+    },
+
+    // One page of consumables at or below their minimum stock, by room and
+    // name, with how many are missing to reach it as `shortfall`, and how
+    // many match in all. Filters: roomId, categoryId.
+    async listLowStock({ roomId, categoryId, limit = 100, offset = 0 } = {}) {
+      const filter = conditions();
+      filter.add("i.tracking = 'quantity'");
+      filter.add('i.min_quantity IS NOT NULL');
+      filter.add('i.quantity <= i.min_quantity');
+      filter.add('i.deleted_at IS NULL');
+      if (roomId) filter.add('i.room_id = ?', roomId);
+      if (categoryId) filter.add('i.category_id = ?', categoryId);
+
+      const { total } = await db.queryOne(`SELECT COUNT(*) AS total FROM items i ${filter.where()}`, filter.params);
+      const rows = await db.query(
+        `SELECT ${ITEM_COLUMNS}, i.min_quantity - i.quantity AS shortfall
+         FROM items i JOIN rooms r ON r.id = i.room_id
+         ${filter.where()}
+         ORDER BY LOWER(r.name), LOWER(i.name), i.id
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: rows.map((row) => ({ ...row, shortfall: toCount(row.shortfall) })), total: toCount(total) };
+    },
+
+    async setRoom(id, roomId) {
+      await db.run('UPDATE items SET room_id = $1, updated_at = $2 WHERE id = $3', [roomId, now(), id]);
+    },
+
+    async countUnitsByLocation(location) {
+      const row = await db.queryOne(`
+        SELECT COUNT(ic.id) as total
+        FROM items i
+        JOIN rooms r ON r.id = i.room_id
+        LEFT JOIN inventory_codes ic ON ic.item_id = i.id AND ic.deleted_at IS NULL
+        WHERE r.name = $1 AND i.deleted_at IS NULL
+      `, [location]);
+      return toCount(row.total);
+    },
+
+    async countByRoom(roomId) {
+      const row = await db.queryOne(
+        'SELECT COUNT(*) as count FROM items WHERE room_id = $1 AND deleted_at IS NULL',
+        [roomId]
+      );
+      return toCount(row.count);
+    },
+
+    async count() {
+      const row = await db.queryOne('SELECT COUNT(*) as count FROM items WHERE deleted_at IS NULL');
+      return toCount(row.count);
+    }
+  };
+}
+
+module.exports = createItemRepository;
+module.exports.SORTS = Object.keys(ITEM_SORTS);
+module.exports.TRACKING = TRACKING;
@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, placeholders, conditions, containsPattern, orderBy } = require('./util');
+
+// active: not returned yet (overdue ones included); overdue: active and past
+// due_at; returned: every unit is back
+const LOAN_STATUSES = ['active', 'overdue', 'returned'];
+
+// What GET /loans can sort by
+const LOAN_SORTS = {
+  loaned_at: 'l.loaned_at',
+  due_at: 'l.due_at',
+  returned_at: 'l.returned_at',
+  borrower_name: 'LOWER(l.borrower_name)'
+};
+
+const statusOf = (loan, at) => {
+  if (loan.returned_at) return 'returned';
+  return new Date(loan.due_at) < at ? 'overdue' : 'active';
+};
+
+// Units on a loan with where they are now; a deleted unit keeps its code and
+// item name from when it was lent
+const UNIT_COLUMNS = `
+  lu.id, lu.loan_id, lu.inventory_code_id, lu.kode_inventaris, lu.item_name,
+  lu.returned_at, lu.return_status, lu.return_note, lu.received_by,
+  ic.status, i.id AS item_id, r.id AS room_id, r.name AS location
+`;
+
+const UNIT_JOINS = `
+  LEFT JOIN inventory_codes ic ON ic.id = lu.inventory_code_id
+  LEFT JOIN items i ON i.id = ic.item_id
+  LEFT JOIN rooms r ON r.id = i.room_id
+`;
+
+function createLoanRepository(db) {
+  // Loan rows with their units, status and unit counts
+  const withUnits = async (loans) => {
+    if (loans.length === 0) return [];
+    const ids = loans.map((loan) => loan.id);
+    const units = await db.query(
+      `SELECT ${UNIT_COLUMNS} FROM loan_units lu ${UNIT_JOINS}
+       WHERE lu.loan_id IN (${placeholders(ids)})
+       ORDER BY LOWER(lu.kode_inventaris), lu.id`,
+      ids
+    );
+    const at = new Date();
+    return loans.map((loan) => {
+      const own = units.filter((unit) => unit.loan_id === loan.id);
+      return {
+        ...loan,
+        status: statusOf(loan, at),
+        unit_count: own.length,
+        outstanding: own.filter((unit) => !unit.returned_at).length,
+        units: own
+      };
+    });
+  };
+
+  return {
+    // One page of loans and how many match in all. Filters: status, borrower
+    // (name or number contains), serialNumberId, roomId (a unit lent from
+    // it), from / to (loaned_at).
+    async list({
+      status, borrower, serialNumberId, roomId, from, to,
+      sort = 'loaned_at', order = 'desc', limit = 100, offset = 0
+    } = {}) {
+      const filter = conditions();
+      if (status === 'returned') filter.add('l.returned_at IS NOT NULL');
+      if (status === 'active') filter.add('l.returned_at IS NULL');
+      if (status === 'overdue') filter.add('l.returned_at IS NULL AND l.due_at < ?', now());
+      if (borrower) {
+        filter.add(
+          "(LOWER(l.borrower_name) LIKE ? ESCAPE '\\' OR LOWER(COALESCE(l.borrower_number, '')) LIKE ? ESCAPE '\\')",
+          containsPattern(borrower), containsPattern(borrower)
+        );
+      }
+      if (serialNumberId) {
+        filter.add('EXISTS (SELECT 1 FROM loan_units s WHERE s.loan_id = l.id AND s.inventory_code_id = ?)', serialNumberId);
+      }
+      if (roomId) {
+        filter.add(`EXISTS (
+          SELECT 1 FROM loan_units s
+          JOIN inventory_codes sc ON sc.id = s.inventory_code_id
+          JOIN items si ON si.id = sc.item_id
+          WHERE s.loan_id = l.id AND si.room_id = ?
+        )`, roomId);
+      }
+      if (from) filter.add('l.loaned_at >= ?', from);
+      if (to) filter.add('l.loaned_at <= ?', to);
+
+      const { total } = await db.queryOne(`SELECT COUNT(*) AS total FROM loans l ${filter.where()}`, filter.params);
+      const rows = await db.query(
+        `SELECT l.* FROM loans l
+         ${filter.where()}
+         ${orderBy(LOAN_SORTS, sort, order, 'l.id')}
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: await withUnits(rows), total: toCount(total) };
+    },
+
+    async findById(id) {
+      const loan = await db.queryOne('SELECT * FROM loans WHERE id = $1', [id]);
+      if (!loan) return undefined;
+      const [withStatus] = await withUnits([loan]);
+      return withStatus;
+    },
+
+    // Units that are out on a loan right now, with the loan they are on.
+    // Narrow with codeIds, itemId or roomId.
+    async outstandingUnits({ codeIds, itemId, roomId } = {}) {
+      if (codeIds && codeIds.length === 0) return [];
+      const filter = conditions();
+      filter.add('lu.returned_at IS NULL');
+      if (codeIds) filter.add(`lu.inventory_code_id IN (${codeIds.map(() => '?').join(', ')})`, ...codeIds);
+      if (itemId) filter.add('i.id = ?', itemId);
+      if (roomId) filter.add('r.id = ?', roomId);
+      return db.query(
+        `SELECT ${UNIT_COLUMNS}, l.borrower_name, l.due_at
+         FROM loan_units lu
+         JOIN loans l ON l.id = lu.loan_id
+         ${UNIT_JOINS}
+         ${filter.where()}
+         ORDER BY LOWER(lu.kode_inventaris), lu.id`,
+        filter.params
+      );
+    },
+
+    // `units` are inventory codes as inventoryCodes.findById returns them.
+    // Callers check that none of them is out on another loan.
+    async create({ borrowerName, borrowerNumber, borrowerContact, note, dueAt, units, lentBy }) {
+      const id = uuidv4();
+      const timestamp = now();
+      await db.run(
+        `INSERT INTO loans
+           (id, borrower_name, borrower_number, borrower_contact, note, loaned_at, due_at, lent_by, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          id,
+          borrowerName,
+          borrowerNumber || null,
+          borrowerContact || null,
+          note || '',
+          timestamp,
+          dueAt,
+          lentBy,
+          timestamp,
+          timestamp
+        ]
+      );
+      for (const unit of units) {
+        await db.run(
+          `INSERT INTO loan_units (id, loan_id, inventory_code_id, kode_inventaris, item_name)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [uuidv4(), id, unit.id, unit.kode_inventaris, unit.item_name]
+        );
+      }
+      return this.findById(id);
+    },
+
+    // Marks units of the loan as returned ({ codeId, status, note } each) and
+    // closes the loan once none is left out
+    async returnUnits(loanId, returns, receivedBy) {
+      const timestamp = now();
+      for (const { codeId, status, note } of returns) {
+        await db.run(
+          `UPDATE loan_units SET returned_at = $1, return_status = $2, return_note = $3, received_by = $4
+           WHERE loan_id = $5 AND inventory_code_id = $6 AND returned_at IS NULL`,
+          [timestamp, status, note || '', receivedBy, loanId, codeId]
+        );
+      }
+      const { outstanding } = await db.queryOne(
+        'SELECT COUNT(*) AS outstanding FROM loan_units WHERE loan_id = $1 AND returned_at IS NULL',
+        [loanId]
+      );
+      await db.run(
+        'UPDATE loans SET returned_at = $1, updated_at = $2 WHERE id = $3',
+        [toCount(outstanding) === 0 ? timestamp : null, timestamp, loanId]
+      );
+      return this.findById(loanId);
+    }
+  };
+}
+
+module.exports = createLoanRepository;
+module.exports.STATUSES = LOAN_STATUSES;
+module.exports.SORTS = Object.keys(LOAN_SORTS);
@@ -0,0 +1,151 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, placeholders, conditions, containsPattern, orderBy } = require('./util');
+
+// reported -> in_repair -> repaired or written_off. A ticket can also be
+// closed straight from reported (fixed on the spot, or not worth fixing).
+const STATES = ['reported', 'in_repair', 'repaired', 'written_off'];
+const TRANSITIONS = {
+  reported: ['in_repair', 'repaired', 'written_off'],
+  in_repair: ['repaired', 'written_off'],
+  repaired: [],
+  written_off: []
+};
+const CLOSED_STATES = ['repaired', 'written_off'];
+
+// What GET /maintenance can sort by
+const TICKET_SORTS = {
+  opened_at: 't.opened_at',
+  closed_at: 't.closed_at',
+  updated_at: 't.updated_at',
+  state: 't.state',
+  kode_inventaris: 'LOWER(t.kode_inventaris)'
+};
+
+// A ticket with the unit's current status and place; units that have since
+// been deleted leave those empty
+const TICKET_COLUMNS = `
+  t.*, ic.status AS unit_status, i.id AS item_id, r.id AS room_id, r.name AS location,
+  (SELECT COALESCE(SUM(e.cost), 0) FROM maintenance_entries e WHERE e.ticket_id = t.id) AS total_cost
+`;
+
+const TICKET_JOINS = `
+  LEFT JOIN inventory_codes ic ON ic.id = t.inventory_code_id
+  LEFT JOIN items i ON i.id = ic.item_id
+  LEFT JOIN rooms r ON r.id = i.room_id
+`;
+
+const withTotal = (ticket) => ({ ...ticket, total_cost: toCount(ticket.total_cost) });
+
+function createMaintenanceRepository(db) {
+  const insertEntry = (ticketId, { state, note, cost, author }, timestamp) => db.run(
+    `INSERT INTO maintenance_entries (id, ticket_id, state, note, cost, author, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [uuidv4(), ticketId, state, note || '', cost === undefined ? null : cost, author, timestamp]
+  );
+
+  return {
+    // One page of tickets and how many match in all. Filters: state, open
+    // (true for reported / in_repair), serialNumberId, itemId, roomId,
+    // technician (contains), from / to (opened_at).
+    async list({
+      state, open, serialNumberId, itemId, roomId, technician, from, to,
+      sort = 'opened_at', order = 'desc', limit = 100, offset = 0
+    } = {}) {
+      const filter = conditions();
+      if (state) filter.add('t.state = ?', state);
+      if (open === true) filter.add('t.closed_at IS NULL');
+      if (open === false) filter.add('t.closed_at IS NOT NULL');
+      if (serialNumberId) filter.add('t.inventory_code_id = ?', serialNumberId);
+      if (itemId) filter.add('i.id = ?', itemId);
+      if (roomId) filter.add('r.id = ?', roomId);
+      if (technician) filter.add("LOWER(COALESCE(t.technician, '')) LIKE ? ESCAPE '\\'", containsPattern(technician));
+      if (from) filter.add('t.opened_at >= ?', from);
+      if (to) filter.add('t.opened_at <= ?', to);
+
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM maintenance_tickets t ${TICKET_JOINS} ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(
+        `SELECT ${TICKET_COLUMNS} FROM maintenance_tickets t ${TICKET_JOINS}
+         ${filter.where()}
+         ${orderBy(TICKET_SORTS, sort, order, 't.id')}
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: rows.map(withTotal), total: toCount(total) };
+    },
+
+    // A ticket with its entries, oldest first
+    async findById(id) {
+      const ticket = await db.queryOne(
+        `SELECT ${TICKET_COLUMNS} FROM maintenance_tickets t ${TICKET_JOINS} WHERE t.id = $1`,
+        [id]
+      );
+      if (!ticket) return undefined;
+      const entries = await db.query(
+        'SELECT * FROM maintenance_entries WHERE ticket_id = $1 ORDER BY created_at, id',
+        [id]
+      );
+      return { ...withTotal(ticket), entries };
+    },
+
+    // Open tickets of the given units
+    openTickets(codeIds) {
+      if (codeIds.length === 0) return Promise.resolve([]);
+      return db.query(
+        `SELECT * FROM maintenance_tickets
+         WHERE closed_at IS NULL AND inventory_code_id IN (${placeholders(codeIds)})`,
+        codeIds
+      );
+    },
+
+    // `unit` is an inventory code as inventoryCodes.findById returns it.
+    // The first entry records the report (and any cost of the diagnosis).
+    async create({ unit, problem, technician, note, cost, reportedBy }) {
+      const id = uuidv4();
+      const timestamp = now();
+      await db.run(
+        `INSERT INTO maintenance_tickets
+           (id, inventory_code_id, kode_inventaris, item_name, problem, state, technician, reported_by,
+            opened_at, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          id,
+          unit.id,
+          unit.kode_inventaris,
+          unit.item_name,
+          problem,
+          'reported',
+          technician || null,
+          reportedBy,
+          timestamp,
+          timestamp,
+          timestamp
+        ]
+      );
+      await insertEntry(id, { state: 'reported', note, cost, author: reportedBy }, timestamp);
+      return this.findById(id);
+    },
+
+    // Adds an entry to the ticket, moving it to `state` (callers check the
+    // transition) and closing it when that state is final
+    async addEntry(id, { state, note, cost, technician, author }) {
+      const timestamp = now();
+      await insertEntry(id, { state, note, cost, author }, timestamp);
+      await db.run(
+        `UPDATE maintenance_tickets
+         SET state = $1, technician = COALESCE($2, technician), closed_at = $3, updated_at = $4
+         WHERE id = $5`,
+        [state, technician || null, CLOSED_STATES.includes(state) ? timestamp : null, timestamp, id]
+      );
+      return this.findById(id);
+    }
+  };
+}
+
+module.exports = createMaintenanceRepository;
+module.exports.STATES = STATES;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.CLOSED_STATES = CLOSED_STATES;
+module.exports.SORTS = Object.keys(TICKET_SORTS);
@@ -0,0 +1,69 @@
+const { conditions } = require('./util');
+const { STATUS_COUNTS } = require('./inventoryCodes');
+
+// The whole inventory (or one room's) as nested data for exports:
+//   [{ room, items: [{ ...item, jumlah, baik, rusak, ..., units: [...] }], jumlah, baik, rusak, ... }]
+// with a count per status as in GET /items. Rooms, items and units are in
+// name / code order.
+
+const COUNTS = ['jumlah', ...Object.values(STATUS_COUNTS)];
+
+// jumlah and the status counts of `units`
+const countsOf = (units) => ({
+  jumlah: units.length,
+  ...Object.fromEntries(Object.entries(STATUS_COUNTS).map(([status, count]) => (
+    [count, units.filter((unit) => unit.status === status).length]
+  )))
+});
+
+function createReportRepository(db) {
+  return {
+    async inventory({ roomId } = {}) {
+      const filter = conditions();
+      filter.add('r.deleted_at IS NULL');
+      if (roomId) filter.add('r.id = ?', roomId);
+
+      const rooms = await db.query(
+        `SELECT r.id, r.name, r.code FROM rooms r ${filter.where()} ORDER BY LOWER(r.name), r.id`,
+        filter.params
+      );
+      const items = await db.query(
+        `SELECT i.id, i.name, i.information, i.room_id
+         FROM items i JOIN rooms r ON r.id = i.room_id
+         ${filter.where()} AND i.deleted_at IS NULL
+         ORDER BY LOWER(i.name), LOWER(i.information), i.id`,
+        filter.params
+      );
+      const units = await db.query(
+        `SELECT ic.id, ic.item_id, ic.kode_inventaris, ic.spesifikasi, ic.status, ic.date_added
+         FROM inventory_codes ic
+         JOIN items i ON i.id = ic.item_id
+         JOIN rooms r ON r.id = i.room_id
+         ${filter.where()} AND i.deleted_at IS NULL AND ic.deleted_at IS NULL
+         ORDER BY LOWER(ic.kode_inventaris), ic.date_added, ic.id`,
+        filter.params
+      );
+
+      const unitsByItem = new Map(items.map((item) => [item.id, []]));
+      units.forEach((unit) => unitsByItem.get(unit.item_id).push(unit));
+
+      const totals = (list) => Object.fromEntries(COUNTS.map((count) => (
+        [count, list.reduce((sum, entry) => sum + entry[count], 0)]
+      )));
+
+      return rooms.map((room) => {
+        const roomItems = items.filter((item) => item.room_id === room.id).map((item) => {
+          const itemUnits = unitsByItem.get(item.id);
+          return {
+            ...item,
+            ...countsOf(itemUnits),
+            units: itemUnits
+          };
+        });
+        return { room, items: roomItems, ...totals(roomItems) };
+      });
+    }
+  };
+}
+
+module.exports = createReportRepository;
@@ -0,0 +1,91 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toBoolean } = require('./util');
+
+const DEFAULT_ROOMS = [
+  { name: "Ruang Laboran", icon: "Building" },
+  { name: "Lab FKI", icon: "Cpu" },
+  { name: "Lab Jarkom", icon: "Network" },
+  { name: "Lab SI", icon: "Computer" },
+  { name: "Lab SIC", icon: "Joystick" },
+  { name: "Lab RPL", icon: "Braces" }
+];
+
+const toRoom = (row) => row && { ...row, hidden: toBoolean(row.hidden) };
+
+// Room codes are stored in capitals; blank means "derive from the name"
+const toCode = (code) => (code ? code.toUpperCase() : null);
+
+// Rooms in the trash are left out of everything here. They keep their name,
+// so no new room can take it while they could still be restored.
+function createRoomRepository(db) {
+  return {
+    async list() {
+      const rows = await db.query('SELECT * FROM rooms WHERE deleted_at IS NULL ORDER BY created_at DESC');
+      return rows.map(toRoom);
+    },
+
+    async findById(id) {
+      return toRoom(await db.queryOne('SELECT * FROM rooms WHERE id = $1 AND deleted_at IS NULL', [id]));
+    },
+
+    async findByName(name) {
+      return toRoom(await db.queryOne('SELECT * FROM rooms WHERE name = $1 AND deleted_at IS NULL', [name]));
+    },
+
+    // `code` stands in for {ROOM} in generated inventory codes
+    async create({ name, code, description, hidden, replacesDefault, icon }) {
+      const id = uuidv4();
+      const timestamp = now();
+      await db.run(
+        `INSERT INTO rooms (id, name, code, description, hidden, replaces_default, icon, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          id,
+          name,
+          toCode(code),
+          description || '',
+          hidden || false,
+          replacesDefault || null,
+          icon || '',
+          timestamp,
+          timestamp
+        ]
+      );
+      return this.findById(id);
+    },
+
+    // Returns the updated room, or undefined when it does not exist
+    async update(id, { name, code, description, hidden, replacesDefault, icon }) {
+      const result = await db.run(
+        `UPDATE rooms
+         SET name = $1, code = $2, description = $3, hidden = $4, replaces_default = $5, icon = $6, updated_at = $7
+         WHERE id = $8 AND deleted_at IS NULL`,
+        [name || '', toCode(code), description || '', hidden || false, replacesDefault || null, icon || '', now(), id]
+      );
+      if (result.changes === 0) return undefined;
+      return this.findById(id);
+    },
+
+    // Inserts any of the default rooms that are missing, leaving existing
+    // ones alone; returns the rooms it created
+    async initializeDefaults() {
+      const timestamp = now();
+      const created = [];
+      for (const room of DEFAULT_ROOMS) {
+        const id = uuidv4();
+        const result = await db.run(
+          `INSERT INTO rooms (id, name, description, icon, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (name) DO NOTHING`,
+          [id, room.name, '', room.icon, timestamp, timestamp]
+        );
+        if (result.changes > 0) {
+          created.push(await this.findById(id));
+        }
+      }
+      return created;
+    }
+  };
+}
+
+module.exports = createRoomRepository;
+module.exports.DEFAULT_ROOMS = DEFAULT_ROOMS;
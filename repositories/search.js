@@ -0,0 +1,98 @@
+const { toCount, containsPattern, prefixPattern } = require('./util');
+
+// Search by plain LIKE matching so it behaves the same on both backends.
+// The text is split into terms and every term has to appear somewhere in a
+// hit. Each term scores by where it appears; hits are ordered by the total,
+// so an exact inventory code beats a code prefix, which beats a code
+// fragment, which beats a mention in the specs or the item's name.
+
+const text = (column) => `LOWER(COALESCE(${column}, ''))`;
+
+// Points per term: [column, exact, prefix, contains]
+const UNIT_WEIGHTS = [
+  ['ic.kode_inventaris', 100, 60, 40],
+  ['ic.spesifikasi', 25, 25, 20],
+  ['i.name', 12, 12, 10],
+  ['i.information', 5, 5, 5]
+];
+
+const ITEM_WEIGHTS = [
+  ['i.name', 50, 30, 20],
+  ['i.information', 10, 10, 10]
+];
+
+function createSearchRepository(db) {
+  // Hits for `terms` (lowercase) with a score, best first. `live` leaves out
+  // rows in the trash.
+  const search = async ({ terms, weights, select, from, live, roomId, limit, orderBy }) => {
+    const params = [];
+    const bind = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const scores = [];
+    const matches = [live];
+    for (const term of terms) {
+      const exact = bind(term);
+      const prefix = bind(prefixPattern(term));
+      const contains = bind(containsPattern(term));
+
+      for (const [column, exactPoints, prefixPoints, containsPoints] of weights) {
+        scores.push(`CASE
+          WHEN ${text(column)} = ${exact} THEN ${exactPoints}
+          WHEN ${text(column)} LIKE ${prefix} ESCAPE '\\' THEN ${prefixPoints}
+          WHEN ${text(column)} LIKE ${contains} ESCAPE '\\' THEN ${containsPoints}
+          ELSE 0 END`);
+      }
+      matches.push(`(${weights.map(([column]) => `${text(column)} LIKE ${contains} ESCAPE '\\'`).join(' OR ')})`);
+    }
+    if (roomId) matches.push(`i.room_id = ${bind(roomId)}`);
+
+    const rows = await db.query(
+      `SELECT ${select}, ${scores.join(' + ')} AS score
+       ${from}
+       WHERE ${matches.join(' AND ')}
+       ORDER BY score DESC, ${orderBy}
+       LIMIT ${bind(limit)}`,
+      params
+    );
+    return rows.map((row) => ({ ...row, score: toCount(row.score) }));
+  };
+
+  return {
+    // { items, units }: items whose name or information match, and units
+    // whose code, specs or item match, each with the room it is in
+    async search(query, { roomId, limit = 20 } = {}) {
+      const terms = [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+      if (terms.length === 0) return { items: [], units: [] };
+
+      const items = await search({
+        terms,
+        weights: ITEM_WEIGHTS,
+        select: 'i.id, i.name, i.information, i.room_id, r.name AS location',
+        from: 'FROM items i JOIN rooms r ON r.id = i.room_id',
+        live: 'i.deleted_at IS NULL',
+        orderBy: 'LOWER(i.name), i.id',
+        roomId,
+        limit
+      });
+      const units = await search({
+        terms,
+        weights: UNIT_WEIGHTS,
+        select: `ic.id, ic.kode_inventaris, ic.spesifikasi, ic.status,
+                 ic.item_id, i.name AS item_name, i.room_id, r.name AS location`,
+        from: `FROM inventory_codes ic
+               JOIN items i ON i.id = ic.item_id
+               JOIN rooms r ON r.id = i.room_id`,
+        live: 'ic.deleted_at IS NULL AND i.deleted_at IS NULL',
+        orderBy: 'LOWER(ic.kode_inventaris), ic.id',
+        roomId,
+        limit
+      });
+      return { items, units };
+    }
+  };
+}
+
+module.exports = createSearchRepository;
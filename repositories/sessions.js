@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function createSessionRepository(db) {
+  return {
+    // Returns the bearer token; only its hash is stored
+    async create(userId, ttlMs) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const createdAt = new Date();
+      const expiresAt = new Date(createdAt.getTime() + ttlMs);
+      await db.run(
+        'INSERT INTO sessions (id, token_hash, user_id, created_at, expires_at) VALUES ($1, $2, $3, $4, $5)',
+        [uuidv4(), hashToken(token), userId, createdAt.toISOString(), expiresAt.toISOString()]
+      );
+      return { token, expiresAt: expiresAt.toISOString() };
+    },
+
+    // The id of the active user owning an unexpired session, if any
+    async findUserId(token) {
+      const row = await db.queryOne(
+        `SELECT s.user_id
+         FROM sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > $2 AND u.active = $3`,
+        [hashToken(token), new Date().toISOString(), true]
+      );
+      return row && row.user_id;
+    },
+
+    async revoke(token) {
+      await db.run('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+    },
+
+    async revokeAllForUser(userId) {
+      await db.run('DELETE FROM sessions WHERE user_id = $1', [userId]);
+    },
+
+    async purgeExpired() {
+      const result = await db.run('DELETE FROM sessions WHERE expires_at <= $1', [new Date().toISOString()]);
+      return result.changes;
+    }
+  };
+}
+
+module.exports = createSessionRepository;
@@ -0,0 +1,148 @@
+const { toCount, conditions } = require('./util');
+const { STATUSES, STATUS_COUNTS, bookValue } = require('./inventoryCodes');
+
+// Figures for the dashboard, counted in SQL over what is not in the trash.
+// Unit counts are named as in GET /items: jumlah for all units, then one
+// per status (baik, rusak_ringan, rusak, ...).
+
+const COUNTS = ['jumlah', ...Object.values(STATUS_COUNTS)];
+
+const COUNT_COLUMNS = [
+  'COUNT(ic.id) AS jumlah',
+  ...Object.entries(STATUS_COUNTS).map(([status, count]) => (
+    `COUNT(CASE WHEN ic.status = '${status}' THEN 1 END) AS ${count}`
+  ))
+].join(', ');
+
+// Units that count as broken for the broken rate: those waiting for or in
+// repair. Lost and disposed units are out of use, so the rate leaves them
+// out of the total too.
+const BROKEN = ['rusak', 'dalam_perbaikan'];
+const OUT_OF_USE = ['hilang', 'dihapuskan'];
+
+const sumOf = (row, counts) => counts.reduce((sum, count) => sum + row[count], 0);
+
+// Share of the units still in use that are broken, to four decimals; 0 when
+// there are none
+const brokenRate = (row) => {
+  const inUse = row.jumlah - sumOf(row, OUT_OF_USE);
+  return inUse === 0 ? 0 : Math.round((sumOf(row, BROKEN) / inUse) * 10000) / 10000;
+};
+
+const withCounts = (row) => {
+  const counted = { ...row, ...Object.fromEntries(COUNTS.map((count) => [count, toCount(row[count])])) };
+  return { ...counted, broken_rate: brokenRate(counted) };
+};
+
+// "2026-10" for the month `back` months before the one `date` is in (UTC)
+const monthOf = (date, back = 0) => (
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - back, 1)).toISOString().slice(0, 7)
+);
+
+function createStatsRepository(db) {
+  return {
+    // Totals over the whole inventory (or one room), per room, per status and
+    // per item (the `itemLimit` items with the most units), and units added
+    // in each of the last `months` months, oldest first
+    async dashboard({ roomId, months = 12, itemLimit = 100 } = {}) {
+      const filter = conditions();
+      filter.add('r.deleted_at IS NULL');
+      if (roomId) filter.add('r.id = ?', roomId);
+      const where = filter.where();
+
+      const units = `
+        FROM rooms r
+        LEFT JOIN items i ON i.room_id = r.id AND i.deleted_at IS NULL
+        LEFT JOIN inventory_codes ic ON ic.item_id = i.id AND ic.deleted_at IS NULL
+      `;
+
+      const total = await db.queryOne(
+        `SELECT COUNT(DISTINCT r.id) AS rooms, COUNT(DISTINCT i.id) AS items, ${COUNT_COLUMNS}
+         ${units} ${where}`,
+        filter.params
+      );
+      const rooms = await db.query(
+        `SELECT r.id, r.name, COUNT(DISTINCT i.id) AS items, ${COUNT_COLUMNS}
+         ${units} ${where}
+         GROUP BY r.id, r.name
+         ORDER BY LOWER(r.name), r.id`,
+        filter.params
+      );
+      const items = await db.query(
+        `SELECT i.id, i.name, i.information, r.id AS room_id, r.name AS location, ${COUNT_COLUMNS}
+         FROM items i
+         JOIN rooms r ON r.id = i.room_id
+         LEFT JOIN inventory_codes ic ON ic.item_id = i.id AND ic.deleted_at IS NULL
+         ${where} AND i.deleted_at IS NULL
+         GROUP BY i.id, i.name, i.information, r.id, r.name
+         ORDER BY jumlah DESC, LOWER(i.name), i.id
+         LIMIT $${filter.params.length + 1}`,
+        [...filter.params, itemLimit]
+      );
+
+      // Timestamps are ISO text in SQLite and TIMESTAMP in Postgres; both
+      // cast to text starting with YYYY-MM
+      const today = new Date();
+      const since = `${monthOf(today, months - 1)}-01T00:00:00.000Z`;
+      const added = await db.query(
+        `SELECT SUBSTR(CAST(ic.date_added AS TEXT), 1, 7) AS month, COUNT(*) AS count
+         ${units} ${where} AND ic.date_added >= $${filter.params.length + 1}
+         GROUP BY SUBSTR(CAST(ic.date_added AS TEXT), 1, 7)`,
+        [...filter.params, since]
+      );
+      const addedByMonth = new Map(added.map((row) => [row.month, toCount(row.count)]));
+
+      const totals = withCounts(total);
+      return {
+        totals: { ...totals, rooms: toCount(total.rooms), items: toCount(total.items) },
+        byStatus: STATUSES.map((status) => ({ status, count: totals[STATUS_COUNTS[status]] })),
+        byRoom: rooms.map((room) => ({ ...withCounts(room), items: toCount(room.items) })),
+        byItem: items.map(withCounts),
+        addedPerMonth: Array.from({ length: months }, (_, i) => {
+          const month = monthOf(today, months - 1 - i);
+          return { month, count: addedByMonth.get(month) || 0 };
+        })
+      };
+    },
+
+    // What the units in each room (or one room) cost and are worth at `at`
+    // after depreciation, with totals. Units without a price count under
+    // `units` only. Book values are worked out here rather than in SQL, the
+    // month arithmetic differing between SQLite and Postgres.
+    async assetValues({ roomId, at = new Date() } = {}) {
+      const filter = conditions();
+      filter.add('r.deleted_at IS NULL');
+      if (roomId) filter.add('r.id = ?', roomId);
+
+      const rooms = await db.query(
+        `SELECT r.id, r.name FROM rooms r ${filter.where()} ORDER BY LOWER(r.name), r.id`,
+        filter.params
+      );
+      const units = await db.query(
+        `SELECT r.id AS room_id, ic.purchase_price, ic.purchase_date, ic.date_added, i.useful_life_years
+         FROM rooms r
+         JOIN items i ON i.room_id = r.id AND i.deleted_at IS NULL
+         JOIN inventory_codes ic ON ic.item_id = i.id AND ic.deleted_at IS NULL
+         ${filter.where()}`,
+        filter.params
+      );
+
+      const empty = () => ({ units: 0, priced_units: 0, purchase_value: 0, book_value: 0 });
+      const totals = empty();
+      const byRoom = new Map(rooms.map((room) => [room.id, { ...room, ...empty() }]));
+      for (const unit of units) {
+        const value = bookValue(unit, at);
+        for (const sum of [totals, byRoom.get(unit.room_id)]) {
+          sum.units += 1;
+          if (value === null) continue;
+          sum.priced_units += 1;
+          sum.purchase_value += Number(unit.purchase_price);
+          sum.book_value += value;
+        }
+      }
+      return { at: at.toISOString(), totals, byRoom: [...byRoom.values()] };
+    }
+  };
+}
+
+module.exports = createStatsRepository;
@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, conditions } = require('./util');
+
+// in adds to the stock, out takes from it, adjust sets it to what was
+// counted
+const MOVEMENT_TYPES = ['in', 'out', 'adjust'];
+
+// Most one movement may move, or an adjust may count
+const MAX_STOCK = 1000000;
+
+// A movement with the item's name and the room it happened in
+const MOVEMENT_COLUMNS = 'm.*, i.name AS item_name, r.name AS location';
+
+const MOVEMENT_JOINS = `
+  JOIN items i ON i.id = m.item_id
+  LEFT JOIN rooms r ON r.id = m.room_id
+`;
+
+// The stock of consumables (items with tracking 'quantity') and the ledger
+// of how it changed. items.quantity is only ever changed here, together
+// with the movement that explains it.
+function createStockMovementRepository(db) {
+  return {
+    // Moves `quantity` of the item's stock in or out, or sets it to
+    // `quantity` for an adjust, and returns the movement; null when an out
+    // would take more than there is. The stock is read after the item row is
+    // locked, so concurrent movements cannot both spend the same stock.
+    async record(item, { type, quantity, note, movedBy }) {
+      const timestamp = now();
+      await db.run('UPDATE items SET updated_at = $1 WHERE id = $2', [timestamp, item.id]);
+      const { quantity: stock } = await db.queryOne('SELECT quantity FROM items WHERE id = $1', [item.id]);
+
+      const balance = { in: stock + quantity, out: stock - quantity, adjust: quantity }[type];
+      if (balance < 0) return null;
+
+      const id = uuidv4();
+      await db.run('UPDATE items SET quantity = $1 WHERE id = $2', [balance, item.id]);
+      await db.run(
+        `INSERT INTO stock_movements (id, item_id, room_id, type, delta, balance, note, moved_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [id, item.id, item.room_id, type, balance - stock, balance, note || '', movedBy, timestamp]
+      );
+      return this.findById(id);
+    },
+
+    findById(id) {
+      return db.queryOne(`SELECT ${MOVEMENT_COLUMNS} FROM stock_movements m ${MOVEMENT_JOINS} WHERE m.id = $1`, [id]);
+    },
+
+    // One page of movements, newest first, and how many match in all.
+    // Filters: itemId, roomId (where the item was at the time), type, from /
+    // to (ISO timestamps). Movements of items in the trash are left out.
+    async list({ itemId, roomId, type, from, to, limit = 100, offset = 0 } = {}) {
+      const filter = conditions();
+      filter.add('i.deleted_at IS NULL');
+      if (itemId) filter.add('m.item_id = ?', itemId);
+      if (roomId) filter.add('m.room_id = ?', roomId);
+      if (type) filter.add('m.type = ?', type);
+      if (from) filter.add('m.created_at >= ?', from);
+      if (to) filter.add('m.created_at <= ?', to);
+
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM stock_movements m ${MOVEMENT_JOINS} ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(
+        `SELECT ${MOVEMENT_COLUMNS} FROM stock_movements m ${MOVEMENT_JOINS}
+         ${filter.where()}
+         ORDER BY m.created_at DESC, m.id
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: rows, total: toCount(total) };
+    }
+  };
+}
+
+module.exports = createStockMovementRepository;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
+module.exports.MAX_STOCK = MAX_STOCK;
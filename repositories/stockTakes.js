@@ -0,0 +1,254 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, toBoolean, placeholders, conditions } = require('./util');
+
+// open while rooms are being checked; closed once the results are in
+const STATES = ['open', 'closed'];
+
+// What someone checking a room can see a unit to be
+const OBSERVED_STATUSES = ['good', 'minor_damage', 'broken'];
+
+// Units the inventory does not expect to find in the room
+const NOT_EXPECTED = ['lost', 'disposed'];
+
+const fromJson = (value) => (value ? JSON.parse(value) : null);
+
+// The stored result only comes with a single session (findById)
+const toStockTake = ({ result_data: resultData, ...row }) => ({
+  ...row,
+  applied: toBoolean(row.applied),
+  scan_count: toCount(row.scan_count)
+});
+
+const STOCK_TAKE_COLUMNS = `
+  st.*, (SELECT COUNT(*) FROM stock_take_scans s WHERE s.stock_take_id = st.id) AS scan_count
+`;
+
+// A scan with the live unit that has its code, if any, and where that unit is
+const SCAN_COLUMNS = `
+  s.*, ic.id AS unit_id, ic.status AS unit_status, ic.spesifikasi,
+  i.id AS item_id, i.name AS item_name, r.id AS unit_room_id, r.name AS unit_location
+`;
+
+const SCAN_JOINS = `
+  LEFT JOIN inventory_codes ic ON ic.kode_inventaris = s.kode_inventaris AND ic.deleted_at IS NULL
+  LEFT JOIN items i ON i.id = ic.item_id
+  LEFT JOIN rooms r ON r.id = i.room_id
+`;
+
+// found: the unit is in the room it was seen in; wrong_room: it is on record
+// in another room; unknown: no unit has the code
+const resultOf = (scan) => {
+  if (!scan.unit_id) return 'unknown';
+  return scan.unit_room_id === scan.room_id ? 'found' : 'wrong_room';
+};
+
+const withResult = (scan) => scan && { ...scan, result: resultOf(scan) };
+
+function createStockTakeRepository(db) {
+  const withRooms = async (rows) => {
+    if (rows.length === 0) return [];
+    const ids = rows.map((row) => row.id);
+    const rooms = await db.query(
+      `SELECT stock_take_id, room_id, room_name FROM stock_take_rooms
+       WHERE stock_take_id IN (${placeholders(ids)})
+       ORDER BY LOWER(room_name)`,
+      ids
+    );
+    return rows.map((row) => ({
+      ...toStockTake(row),
+      rooms: rooms
+        .filter((room) => room.stock_take_id === row.id)
+        .map(({ room_id: id, room_name: name }) => ({ id, name }))
+    }));
+  };
+
+  const findScan = async (id, scanId) => withResult(await db.queryOne(
+    `SELECT ${SCAN_COLUMNS} FROM stock_take_scans s ${SCAN_JOINS} WHERE s.stock_take_id = $1 AND s.id = $2`,
+    [id, scanId]
+  ));
+
+  return {
+    // One page of sessions, newest first, and how many match in all.
+    // Filters: state, roomId (the session covers it).
+    async list({ state, roomId, limit = 100, offset = 0 } = {}) {
+      const filter = conditions();
+      if (state) filter.add('st.state = ?', state);
+      if (roomId) {
+        filter.add('EXISTS (SELECT 1 FROM stock_take_rooms x WHERE x.stock_take_id = st.id AND x.room_id = ?)', roomId);
+      }
+
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM stock_takes st ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(
+        `SELECT ${STOCK_TAKE_COLUMNS} FROM stock_takes st ${filter.where()}
+         ORDER BY st.opened_at DESC, st.id
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: await withRooms(rows), total: toCount(total) };
+    },
+
+    async findById(id) {
+      const row = await db.queryOne(`SELECT ${STOCK_TAKE_COLUMNS} FROM stock_takes st WHERE st.id = $1`, [id]);
+      if (!row) return undefined;
+      const [stockTake] = await withRooms([row]);
+      return { ...stockTake, result: fromJson(row.result_data) };
+    },
+
+    // Open sessions covering any of `roomIds`, one row per room they share
+    openInRooms(roomIds) {
+      if (roomIds.length === 0) return Promise.resolve([]);
+      return db.query(
+        `SELECT st.id, st.name, x.room_id, x.room_name
+         FROM stock_takes st JOIN stock_take_rooms x ON x.stock_take_id = st.id
+         WHERE st.state = 'open' AND x.room_id IN (${placeholders(roomIds)})`,
+        roomIds
+      );
+    },
+
+    // `rooms` are rooms as rooms.findById returns them
+    async create({ name, note, rooms, openedBy }) {
+      const id = uuidv4();
+      const timestamp = now();
+      await db.run(
+        `INSERT INTO stock_takes (id, name, note, state, opened_by, opened_at, applied, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [id, name, note || '', 'open', openedBy, timestamp, false, timestamp, timestamp]
+      );
+      for (const room of rooms) {
+        await db.run(
+          'INSERT INTO stock_take_rooms (id, stock_take_id, room_id, room_name) VALUES ($1, $2, $3, $4)',
+          [uuidv4(), id, room.id, room.name]
+        );
+      }
+      return this.findById(id);
+    },
+
+    // One page of a session's scans, newest first, each with the unit that
+    // has the code and whether it was found where the inventory says
+    async scans(id, { limit = 100, offset = 0 } = {}) {
+      const { total } = await db.queryOne(
+        'SELECT COUNT(*) AS total FROM stock_take_scans WHERE stock_take_id = $1',
+        [id]
+      );
+      const rows = await db.query(
+        `SELECT ${SCAN_COLUMNS} FROM stock_take_scans s ${SCAN_JOINS}
+         WHERE s.stock_take_id = $1
+         ORDER BY s.scanned_at DESC, s.id
+         LIMIT $2 OFFSET $3`,
+        [id, limit, offset]
+      );
+      return { data: rows.map(withResult), total: toCount(total) };
+    },
+
+    findScan,
+
+    // Records `code` as seen in `room`; seeing it again replaces the earlier
+    // scan, so a unit counts once wherever it was last seen
+    async recordScan(id, { code, room, status, note, scannedBy }) {
+      const timestamp = now();
+      const existing = await db.queryOne(
+        'SELECT id FROM stock_take_scans WHERE stock_take_id = $1 AND kode_inventaris = $2',
+        [id, code]
+      );
+      const scanId = existing ? existing.id : uuidv4();
+      if (existing) {
+        await db.run(
+          `UPDATE stock_take_scans
+           SET room_id = $1, room_name = $2, observed_status = $3, note = $4, scanned_by = $5, scanned_at = $6
+           WHERE id = $7`,
+          [room.id, room.name, status, note || '', scannedBy, timestamp, scanId]
+        );
+      } else {
+        await db.run(
+          `INSERT INTO stock_take_scans
+             (id, stock_take_id, kode_inventaris, room_id, room_name, observed_status, note, scanned_by, scanned_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [scanId, id, code, room.id, room.name, status, note || '', scannedBy, timestamp]
+        );
+      }
+      await db.run('UPDATE stock_takes SET updated_at = $1 WHERE id = $2', [timestamp, id]);
+      return { scan: await findScan(id, scanId), rescanned: Boolean(existing) };
+    },
+
+    async removeScan(id, scanId) {
+      const result = await db.run('DELETE FROM stock_take_scans WHERE stock_take_id = $1 AND id = $2', [id, scanId]);
+      return result.changes > 0;
+    },
+
+    // The session's scans set against what the inventory says is in its
+    // rooms now:
+    //   missing           units expected in the rooms and not seen anywhere
+    //   onLoan            the same, but out on loan, so not expected back yet
+    //   wrongRoom         scans of units on record in another room
+    //   unknown           scans of codes no unit has
+    //   conditionChanged  scans whose condition differs from the unit's status
+    //   unlabeled         units without a code, which no scan can find
+    // Lost and disposed units are not expected, but a scan of one is still
+    // matched to it.
+    async reconcile(stockTake) {
+      const roomIds = stockTake.rooms.map((room) => room.id).filter(Boolean);
+      const units = roomIds.length === 0 ? [] : await db.query(
+        `SELECT ic.id, ic.kode_inventaris, ic.spesifikasi, ic.status,
+           i.id AS item_id, i.name AS item_name, r.id AS room_id, r.name AS location,
+           EXISTS (
+             SELECT 1 FROM loan_units lu WHERE lu.inventory_code_id = ic.id AND lu.returned_at IS NULL
+           ) AS on_loan
+         FROM inventory_codes ic
+         JOIN items i ON i.id = ic.item_id
+         JOIN rooms r ON r.id = i.room_id
+         WHERE r.id IN (${placeholders(roomIds)})
+           AND ic.deleted_at IS NULL
+           AND ic.status NOT IN (${placeholders(NOT_EXPECTED, roomIds.length)})
+         ORDER BY LOWER(r.name), LOWER(ic.kode_inventaris), ic.id`,
+        [...roomIds, ...NOT_EXPECTED]
+      );
+      const scans = (await db.query(
+        `SELECT ${SCAN_COLUMNS} FROM stock_take_scans s ${SCAN_JOINS}
+         WHERE s.stock_take_id = $1
+         ORDER BY LOWER(s.room_name), LOWER(s.kode_inventaris)`,
+        [stockTake.id]
+      )).map(withResult);
+
+      const seen = new Set(scans.map((scan) => scan.kode_inventaris));
+      const unseen = units
+        .filter((unit) => unit.kode_inventaris && !seen.has(unit.kode_inventaris))
+        .map(({ on_loan: onLoan, ...unit }) => ({ ...unit, on_loan: toBoolean(onLoan) }));
+      const report = {
+        missing: unseen.filter((unit) => !unit.on_loan),
+        onLoan: unseen.filter((unit) => unit.on_loan),
+        wrongRoom: scans.filter((scan) => scan.result === 'wrong_room'),
+        unknown: scans.filter((scan) => scan.result === 'unknown'),
+        conditionChanged: scans.filter((scan) => scan.unit_id && scan.observed_status !== scan.unit_status),
+        unlabeled: units.filter((unit) => !unit.kode_inventaris).map(({ on_loan: onLoan, ...unit }) => unit)
+      };
+      return {
+        summary: {
+          expected: units.length,
+          scanned: scans.length,
+          found: scans.filter((scan) => scan.result === 'found').length,
+          ...Object.fromEntries(Object.entries(report).map(([key, list]) => [key, list.length]))
+        },
+        ...report
+      };
+    },
+
+    // `result` is the reconciliation at closing, with what applying it changed
+    async close(id, { closedBy, applied, result }) {
+      const timestamp = now();
+      await db.run(
+        `UPDATE stock_takes
+         SET state = $1, closed_by = $2, closed_at = $3, applied = $4, result_data = $5, updated_at = $6
+         WHERE id = $7`,
+        ['closed', closedBy, timestamp, applied, JSON.stringify(result), timestamp, id]
+      );
+      return this.findById(id);
+    }
+  };
+}
+
+module.exports = createStockTakeRepository;
+module.exports.STATES = STATES;
+module.exports.OBSERVED_STATUSES = OBSERVED_STATUSES;
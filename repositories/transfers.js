@@ -0,0 +1,182 @@
+const { v4: uuidv4 } = require('uuid');
+const createItemRepository = require('./items');
+const createInventoryCodeRepository = require('./inventoryCodes');
+const { now, toCount, placeholders } = require('./util');
+
+const TRANSFER_COLUMNS = `
+  t.*,
+  fr.name AS from_room_name,
+  tr.name AS to_room_name,
+  si.name AS source_item_name,
+  ti.name AS target_item_name
+`;
+
+const TRANSFER_JOINS = `
+  LEFT JOIN rooms fr ON fr.id = t.from_room_id
+  LEFT JOIN rooms tr ON tr.id = t.to_room_id
+  LEFT JOIN items si ON si.id = t.source_item_id
+  LEFT JOIN items ti ON ti.id = t.target_item_id
+`;
+
+const toTransfer = (row) => row && { ...row, unit_count: toCount(row.unit_count) };
+
+function createTransferRepository(db) {
+  const items = createItemRepository(db);
+  const codes = createInventoryCodeRepository(db);
+
+  return {
+    // Moves units of `item` to another room and records the transfer. When
+    // `codeIds` covers every unit (or is omitted) the item itself changes
+    // room. Otherwise the item is split: the selected units move to an item
+    // with the same name, information and category in the target room,
+    // which is created when the room has none. Callers check that `codeIds`
+    // belong to the item and that the target room differs from the current
+    // one.
+    //
+    // Returns the transfer and, for the audit log, the records it changed
+    // along the way: the item moved, or the item created for a split and the
+    // units moved to it, as { entity, entityId, action, before, after }.
+    async moveUnits({ item, toRoomId, codeIds, note }) {
+      const movedAt = now();
+      const allCodes = await db.query(
+        'SELECT id FROM inventory_codes WHERE item_id = $1 AND deleted_at IS NULL',
+        [item.id]
+      );
+      const moving = codeIds || allCodes.map((code) => code.id);
+      const wholeItem = moving.length === allCodes.length;
+
+      const changes = [];
+      let targetItemId = item.id;
+      if (wholeItem) {
+        const before = await items.findById(item.id);
+        await items.setRoom(item.id, toRoomId);
+        changes.push({
+          entity: 'item', entityId: item.id, action: 'update', before, after: await items.findById(item.id)
+        });
+      } else {
+        // Only an item of the same category, so the units keep their
+        // attributes, and not a consumable of the same name
+        const match = await items.findMatchInRoom(toRoomId, {
+          name: item.name, information: item.information, categoryId: item.category_id, tracking: 'unit'
+        });
+        const target = match || await items.create({
+          name: item.name,
+          information: item.information,
+          roomId: toRoomId,
+          usefulLifeYears: item.useful_life_years,
+          categoryId: item.category_id
+        });
+        targetItemId = target.id;
+        if (!match) changes.push({ entity: 'item', entityId: target.id, action: 'create', after: target });
+
+        const units = [];
+        for (const codeId of moving) units.push(await codes.findById(codeId));
+        await db.run(
+          `UPDATE inventory_codes SET item_id = $1, updated_at = $2 WHERE id IN (${placeholders(moving, 2)})`,
+          [targetItemId, movedAt, ...moving]
+        );
+        for (const unit of units) {
+          const after = await codes.findById(unit.id);
+          changes.push({ entity: 'inventory_code', entityId: unit.id, action: 'update', before: unit, after });
+        }
+      }
+
+      const id = uuidv4();
+      await db.run(
+        `INSERT INTO transfers
+           (id, source_item_id, target_item_id, from_room_id, to_room_id, unit_count, note, moved_at, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [id, item.id, targetItemId, item.room_id, toRoomId, moving.length, note || '', movedAt, movedAt]
+      );
+
+      if (moving.length > 0) {
+        await db.run(
+          `UPDATE unit_location_history SET ended_at = $1
+           WHERE ended_at IS NULL AND inventory_code_id IN (${placeholders(moving, 1)})`,
+          [movedAt, ...moving]
+        );
+        const room = await db.queryOne('SELECT id, name FROM rooms WHERE id = $1', [toRoomId]);
+        for (const codeId of moving) {
+          await db.run(
+            `INSERT INTO unit_location_history (id, inventory_code_id, room_id, room_name, transfer_id, started_at)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [uuidv4(), codeId, room.id, room.name, id, movedAt]
+          );
+        }
+      }
+
+      return { transfer: await this.findById(id), changes };
+    },
+
+    // A transfer with the units it moved
+    async findById(id) {
+      const transfer = toTransfer(await db.queryOne(
+        `SELECT ${TRANSFER_COLUMNS} FROM transfers t ${TRANSFER_JOINS} WHERE t.id = $1`,
+        [id]
+      ));
+      if (!transfer) return undefined;
+
+      transfer.units = await db.query(`
+        SELECT ic.id, ic.kode_inventaris, ic.spesifikasi, ic.status
+        FROM unit_location_history h
+        JOIN inventory_codes ic ON ic.id = h.inventory_code_id
+        WHERE h.transfer_id = $1
+        ORDER BY ic.kode_inventaris
+      `, [id]);
+      return transfer;
+    },
+
+    // Newest first; `itemId` matches either side of a split, `roomId` either
+    // the room moved from or to, `inventoryCodeId` transfers that moved that unit
+    async list({ itemId, roomId, inventoryCodeId } = {}) {
+      const conditions = [];
+      const params = [];
+
+      if (itemId) {
+        params.push(itemId);
+        conditions.push(`(t.source_item_id = $${params.length} OR t.target_item_id = $${params.length})`);
+      }
+      if (roomId) {
+        params.push(roomId);
+        conditions.push(`(t.from_room_id = $${params.length} OR t.to_room_id = $${params.length})`);
+      }
+      if (inventoryCodeId) {
+        params.push(inventoryCodeId);
+        conditions.push(`t.id IN (
+          SELECT transfer_id FROM unit_location_history WHERE inventory_code_id = $${params.length}
+        )`);
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const rows = await db.query(
+        `SELECT ${TRANSFER_COLUMNS} FROM transfers t ${TRANSFER_JOINS} ${where} ORDER BY t.moved_at DESC`,
+        params
+      );
+      return rows.map(toTransfer);
+    },
+
+    // Stays of one unit, oldest first, optionally only those overlapping
+    // the `from`..`to` range (ISO timestamps)
+    locationHistory(inventoryCodeId, { from, to } = {}) {
+      const params = [inventoryCodeId];
+      let range = '';
+      if (to) {
+        params.push(to);
+        range += ` AND started_at <= $${params.length}`;
+      }
+      if (from) {
+        params.push(from);
+        range += ` AND (ended_at IS NULL OR ended_at > $${params.length})`;
+      }
+      return db.query(
+        `SELECT id, room_id, room_name, transfer_id, started_at, ended_at
+         FROM unit_location_history
+         WHERE inventory_code_id = $1${range}
+         ORDER BY started_at`,
+        params
+      );
+    }
+  };
+}
+
+module.exports = createTransferRepository;
@@ -0,0 +1,171 @@
+const { now, toCount, conditions } = require('./util');
+
+// What can be in the trash, by the name the API uses, and its table
+const TABLES = {
+  rooms: 'rooms',
+  items: 'items',
+  'serial-numbers': 'inventory_codes'
+};
+const TYPES = Object.keys(TABLES);
+
+// One row per record a user deleted (the root of a deletion), with how many
+// items and units a restore would bring back along with it
+const ROOTS = `
+  SELECT 'rooms' AS type, r.id, r.name AS label, NULL AS item_id, NULL AS item_name,
+    r.id AS room_id, r.name AS location, r.deleted_at, r.deleted_by,
+    (SELECT COUNT(*) FROM items x WHERE x.deletion_id = r.id) AS item_count,
+    (SELECT COUNT(*) FROM inventory_codes x WHERE x.deletion_id = r.id) AS unit_count
+  FROM rooms r
+  WHERE r.deletion_id = r.id
+  UNION ALL
+  SELECT 'items', i.id, i.name, i.id, i.name, r.id, r.name, i.deleted_at, i.deleted_by,
+    1,
+    (SELECT COUNT(*) FROM inventory_codes x WHERE x.deletion_id = i.id)
+  FROM items i JOIN rooms r ON r.id = i.room_id
+  WHERE i.deletion_id = i.id
+  UNION ALL
+  SELECT 'serial-numbers', ic.id, ic.kode_inventaris, i.id, i.name, r.id, r.name, ic.deleted_at, ic.deleted_by,
+    0, 1
+  FROM inventory_codes ic JOIN items i ON i.id = ic.item_id JOIN rooms r ON r.id = i.room_id
+  WHERE ic.deletion_id = ic.id
+`;
+
+const toRoot = (row) => ({ ...row, item_count: toCount(row.item_count), unit_count: toCount(row.unit_count) });
+
+// Deleting a room, item or unit only marks it, and whatever went with it,
+// as deleted; deletion_id points every marked row at the record the user
+// deleted, which is what gets restored or purged. The other repositories
+// leave marked rows out.
+function createTrashRepository(db) {
+  const mark = (table, where, params, { deletionId, deletedBy, deletedAt }) => db.run(
+    `UPDATE ${table} SET deleted_at = $1, deleted_by = $2, deletion_id = $3
+     WHERE deleted_at IS NULL AND ${where}`,
+    [deletedAt, deletedBy || null, deletionId, ...params]
+  );
+
+  const filtered = ({ type, roomId, roomIds, from, to }) => {
+    const filter = conditions();
+    if (type) filter.add('t.type = ?', type);
+    if (roomId) filter.add('t.room_id = ?', roomId);
+    if (roomIds) {
+      filter.add(roomIds.length ? `t.room_id IN (${roomIds.map(() => '?').join(', ')})` : '1 = 0', ...roomIds);
+    }
+    if (from) filter.add('t.deleted_at >= ?', from);
+    if (to) filter.add('t.deleted_at <= ?', to);
+    return filter;
+  };
+
+  return {
+    async removeUnit(id, deletedBy) {
+      const result = await mark('inventory_codes', 'id = $4', [id], {
+        deletionId: id, deletedBy, deletedAt: now()
+      });
+      return result.changes > 0;
+    },
+
+    // Takes the item's units along; returns how many
+    async removeItem(id, deletedBy) {
+      const marking = { deletionId: id, deletedBy, deletedAt: now() };
+      const units = await mark('inventory_codes', 'item_id = $4', [id], marking);
+      await mark('items', 'id = $4', [id], marking);
+      return units.changes;
+    },
+
+    // Takes the room's items and their units along; returns how many of each
+    async removeRoom(id, deletedBy) {
+      const marking = { deletionId: id, deletedBy, deletedAt: now() };
+      const units = await mark(
+        'inventory_codes',
+        'item_id IN (SELECT id FROM items WHERE room_id = $4 AND deleted_at IS NULL)',
+        [id],
+        marking
+      );
+      const items = await mark('items', 'room_id = $4', [id], marking);
+      await mark('rooms', 'id = $4', [id], marking);
+      return { items: items.changes, units: units.changes };
+    },
+
+    // One page of what users deleted, newest first, and how many match in
+    // all. Filters: type, roomId (the room it was in, or the room itself),
+    // roomIds (any of these rooms), from / to (deleted_at).
+    async list({ limit = 100, offset = 0, ...criteria } = {}) {
+      const filter = filtered(criteria);
+      const { total } = await db.queryOne(
+        `SELECT COUNT(*) AS total FROM (${ROOTS}) t ${filter.where()}`,
+        filter.params
+      );
+      const rows = await db.query(
+        `SELECT * FROM (${ROOTS}) t ${filter.where()}
+         ORDER BY t.deleted_at DESC, t.id
+         LIMIT $${filter.params.length + 1} OFFSET $${filter.params.length + 2}`,
+        [...filter.params, limit, offset]
+      );
+      return { data: rows.map(toRoot), total: toCount(total) };
+    },
+
+    // Every root deleted at or before `before`, for purging in bulk
+    async rootsBefore(before) {
+      const filter = filtered({ to: before });
+      const rows = await db.query(
+        `SELECT * FROM (${ROOTS}) t ${filter.where()} ORDER BY t.deleted_at, t.id`,
+        filter.params
+      );
+      return rows.map(toRoot);
+    },
+
+    // The record of `type` with this id if it is in the trash, whether the
+    // user deleted it or it went along with its room or item. Units come
+    // with the room their item is in.
+    findDeleted(type, id) {
+      if (type === 'serial-numbers') {
+        return db.queryOne(
+          `SELECT ic.*, i.room_id FROM inventory_codes ic JOIN items i ON i.id = ic.item_id
+           WHERE ic.id = $1 AND ic.deleted_at IS NOT NULL`,
+          [id]
+        );
+      }
+      return db.queryOne(
+        `SELECT * FROM ${TABLES[type]} WHERE id = $1 AND deleted_at IS NOT NULL`,
+        [id]
+      );
+    },
+
+    // Brings back the root `id` and everything deleted along with it;
+    // returns how many items and units came back
+    async restore(id) {
+      const unmark = (table) => db.run(
+        `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL, deletion_id = NULL WHERE deletion_id = $1`,
+        [id]
+      );
+      const units = await unmark('inventory_codes');
+      const items = await unmark('items');
+      await unmark('rooms');
+      return { items: items.changes, units: units.changes };
+    },
+
+    // Deletes a root for good with everything under it, live or not (a room
+    // only reaches the trash with all its items, so the rest are trashed
+    // too). Loans, tickets and transfers keep their copies of the names.
+    async purge(type, id) {
+      if (type === 'serial-numbers') {
+        await db.run('DELETE FROM inventory_codes WHERE id = $1', [id]);
+        return { items: 0, units: 1 };
+      }
+      if (type === 'items') {
+        const units = await db.run('DELETE FROM inventory_codes WHERE item_id = $1', [id]);
+        await db.run('DELETE FROM items WHERE id = $1', [id]);
+        return { items: 1, units: units.changes };
+      }
+      const units = await db.run(
+        'DELETE FROM inventory_codes WHERE item_id IN (SELECT id FROM items WHERE room_id = $1)',
+        [id]
+      );
+      const items = await db.run('DELETE FROM items WHERE room_id = $1', [id]);
+      await db.run('DELETE FROM rooms WHERE id = $1', [id]);
+      return { items: items.changes, units: units.changes };
+    }
+  };
+}
+
+module.exports = createTrashRepository;
+module.exports.TYPES = TYPES;
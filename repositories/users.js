@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+const { now, toCount, toBoolean } = require('./util');
+
+const ROLES = ['admin', 'laboran', 'viewer'];
+
+// Never hands out password_hash; roomIds lists the rooms a laboran manages
+const toUser = (row, roomIds = []) => row && {
+  id: row.id,
+  username: row.username,
+  name: row.name,
+  role: row.role,
+  active: toBoolean(row.active),
+  roomIds,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+};
+
+function createUserRepository(db) {
+  const roomIdsFor = async (userId) => {
+    const rows = await db.query('SELECT room_id FROM user_rooms WHERE user_id = $1', [userId]);
+    return rows.map((row) => row.room_id);
+  };
+
+  return {
+    async list() {
+      const rows = await db.query('SELECT * FROM users ORDER BY username');
+      const assignments = await db.query('SELECT user_id, room_id FROM user_rooms');
+      return rows.map((row) => toUser(
+        row,
+        assignments.filter((a) => a.user_id === row.id).map((a) => a.room_id)
+      ));
+    },
+
+    async findById(id) {
+      const row = await db.queryOne('SELECT * FROM users WHERE id = $1', [id]);
+      return row && toUser(row, await roomIdsFor(row.id));
+    },
+
+    // Includes password_hash, for checking a login
+    findCredentials(username) {
+      return db.queryOne('SELECT * FROM users WHERE username = $1', [username]);
+    },
+
+    async create({ username, name, passwordHash, role, roomIds = [] }) {
+      const id = uuidv4();
+      const timestamp = now();
+      await db.run(
+        `INSERT INTO users (id, username, name, password_hash, role, active, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id, username, name || '', passwordHash, role, true, timestamp, timestamp]
+      );
+      await this.setRooms(id, roomIds);
+      return this.findById(id);
+    },
+
+    // Only the given fields change; returns undefined when the user does not exist
+    async update(id, { name, role, active, passwordHash, roomIds }) {
+      const current = await db.queryOne('SELECT * FROM users WHERE id = $1', [id]);
+      if (!current) return undefined;
+
+      await db.run(
+        'UPDATE users SET name = $1, role = $2, active = $3, password_hash = $4, updated_at = $5 WHERE id = $6',
+        [
+          name === undefined ? current.name : name,
+          role === undefined ? current.role : role,
+          active === undefined ? toBoolean(current.active) : active,
+          passwordHash === undefined ? current.password_hash : passwordHash,
+          now(),
+          id
+        ]
+      );
+      if (roomIds !== undefined) {
+        await this.setRooms(id, roomIds);
+      }
+      return this.findById(id);
+    },
+
+    async setRooms(userId, roomIds) {
+      await db.run('DELETE FROM user_rooms WHERE user_id = $1', [userId]);
+      for (const roomId of new Set(roomIds)) {
+        await db.run('INSERT INTO user_rooms (user_id, room_id) VALUES ($1, $2)', [userId, roomId]);
+      }
+    },
+
+    async remove(id) {
+      const result = await db.run('DELETE FROM users WHERE id = $1', [id]);
+      return result.changes > 0;
+    },
+
+    async count() {
+      const row = await db.queryOne('SELECT COUNT(*) as count FROM users');
+      return toCount(row.count);
+    }
+  };
+}
+
+module.exports = createUserRepository;
+module.exports.ROLES = ROLES;
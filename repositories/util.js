@@ -0,0 +1,54 @@
+// Timestamps are written from JS rather than with CURRENT_TIMESTAMP so both
+// backends store the same ISO-8601 value.
+const now = () => new Date().toISOString();
+
+// Postgres returns COUNT(*) as a string (bigint), SQLite as a number
+const toCount = (value) => parseInt(value, 10) || 0;
+
+// SQLite has no boolean type and hands back 0/1
+const toBoolean = (value) => value === true || value === 1 || value === '1';
+
+// "$3, $4, $5" for binding a list into IN (...), numbered after `offset`
+// parameters that come before it
+const placeholders = (values, offset = 0) => values.map((_, i) => `$${offset + i + 1}`).join(', ');
+
+// Builds a WHERE clause from optional filters. Each "?" in `sql` becomes the
+// next numbered parameter, taken in order from `values`.
+function conditions() {
+  const clauses = [];
+  const params = [];
+  return {
+    params,
+    add(sql, ...values) {
+      let next = 0;
+      clauses.push(sql.replace(/\?/g, () => {
+        params.push(values[next++]);
+        return `$${params.length}`;
+      }));
+    },
+    where: () => (clauses.length ? `WHERE ${clauses.join(' AND ')}` : '')
+  };
+}
+
+// Patterns for case-insensitive matches, used as
+// LOWER(column) LIKE ? ESCAPE '\'
+const escapeLike = (text) => text.toLowerCase().replace(/[\\%_]/g, '\\$&');
+const containsPattern = (text) => `%${escapeLike(text)}%`;
+const prefixPattern = (text) => `${escapeLike(text)}%`;
+
+// ORDER BY for one of the `columns` (name -> SQL expression), with the
+// primary key as tie-breaker so pages do not overlap
+const orderBy = (columns, sort, order, key) => (
+  `ORDER BY ${columns[sort]} ${order === 'asc' ? 'ASC' : 'DESC'}, ${key}`
+);
+
+module.exports = {
+  now,
+  toCount,
+  toBoolean,
+  placeholders,
+  conditions,
+  containsPattern,
+  prefixPattern,
+  orderBy
+};
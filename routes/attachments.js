@@ -0,0 +1,188 @@
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { KINDS } = require('../repositories/attachments');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { notFound, validationFailed } = require('../http/errors');
+const { object, string, boolean, oneOf, validate } = require('../http/validate');
+const { pageFields, page } = require('../http/pagination');
+const { THUMBNAIL_TYPE, contentTypeOf, isImage, makeThumbnail, removeStored } = require('../attachments/files');
+
+// Largest file that can be attached, in MB (default 10)
+const MAX_FILE_SIZE = Math.round((parseFloat(process.env.MAX_ATTACHMENT_MB) || 10) * 1024 * 1024);
+
+const listQuery = object({
+  kind: oneOf(KINDS),
+  ...pageFields
+});
+
+const itemListQuery = object({
+  kind: oneOf(KINDS),
+  includeUnits: boolean({ default: false }),
+  ...pageFields
+});
+
+const uploadBody = object({
+  kind: oneOf(KINDS),
+  description: string({ max: 1000 })
+});
+
+// Where the file and its thumbnail are downloaded from, in place of where
+// they are stored
+const present = ({ storage_key: storageKey, thumbnail_key: thumbnailKey, ...attachment }) => ({
+  ...attachment,
+  file_url: `/attachments/${attachment.id}/file`,
+  thumbnail_url: thumbnailKey ? `/attachments/${attachment.id}/thumbnail` : null
+});
+
+// The attachment, or 404
+async function findAttachment(attachments, id) {
+  const attachment = await attachments.findById(id);
+  if (!attachment) throw notFound('Attachment not found');
+  return attachment;
+}
+
+// Sends a stored file, as a download named `fileName` if given, or 404 when
+// it has gone missing from the storage. A read that fails halfway can only
+// cut the response short.
+async function sendStored(storage, res, key, contentType, fileName) {
+  const stored = await storage.get(key);
+  if (!stored) throw notFound('The file of this attachment is missing');
+  if (fileName) res.attachment(fileName);
+  res.set({ 'Content-Type': contentType, 'Content-Length': stored.size });
+  stored.stream.on('error', (err) => res.destroy(err));
+  stored.stream.pipe(res);
+}
+
+function createAttachmentsRouter(repos, storage) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_SIZE, files: 1 } });
+
+  // Find what a file is being attached to and check the user manages its
+  // room, before multer reads the upload into memory. The target goes in
+  // res.locals.target for attach().
+  const itemTarget = async (req, res, next) => {
+    const item = await repos.items.findById(req.params.id);
+    if (!item) throw notFound('Item not found');
+    assertCanManageRooms(req.user, item.room_id);
+    res.locals.target = { itemId: item.id };
+    next();
+  };
+
+  const unitTarget = async (req, res, next) => {
+    const unit = await repos.inventoryCodes.findById(req.params.id);
+    if (!unit) throw notFound('Serial number not found');
+    assertCanManageRooms(req.user, unit.room_id);
+    res.locals.target = { inventoryCodeId: unit.id };
+    next();
+  };
+
+  // Stores an upload (multipart field `file`) against an item or a unit,
+  // with a thumbnail when it is an image. The files are stored before the
+  // row is written and removed again if that fails.
+  const attach = async (req, { itemId, inventoryCodeId }) => {
+    if (!req.file) throw validationFailed({ file: 'is required' });
+    const contentType = contentTypeOf(req.file);
+    const thumbnail = isImage(contentType) ? await makeThumbnail(req.file.buffer) : null;
+
+    const id = uuidv4();
+    const storageKey = id;
+    const thumbnailKey = thumbnail ? `${id}-thumbnail` : null;
+    try {
+      await storage.put(storageKey, req.file.buffer);
+      if (thumbnail) await storage.put(thumbnailKey, thumbnail);
+      return await repos.transaction(async (tx) => {
+        const created = await tx.attachments.create({
+          id,
+          itemId,
+          inventoryCodeId,
+          kind: req.body.kind || (thumbnail ? 'photo' : 'other'),
+          fileName: req.file.originalname,
+          contentType,
+          size: req.file.size,
+          storageKey,
+          thumbnailKey,
+          description: req.body.description,
+          uploadedBy: req.user.username
+        });
+        await tx.audit.record({
+          actor: req.user, entity: 'attachment', entityId: id, action: 'create', after: present(created)
+        });
+        return created;
+      });
+    } catch (err) {
+      await removeStored(storage, [storageKey, thumbnailKey].filter(Boolean));
+      throw err;
+    }
+  };
+
+  // The item's own attachments, newest first; ?includeUnits=true adds those
+  // of its units
+  router.get('/items/:id/attachments', validate({ query: itemListQuery }), async (req, res) => {
+    const item = await repos.items.findById(req.params.id);
+    if (!item) throw notFound('Item not found');
+    const result = await repos.attachments.list({ ...req.query, itemId: item.id });
+    res.json(page({ ...result, data: result.data.map(present) }, req.query));
+  });
+
+  // Attach a file to an item (multipart field `file`, with `kind` and
+  // `description`)
+  router.post('/items/:id/attachments', canEdit, itemTarget, upload.single('file'), validate({ body: uploadBody }),
+    async (req, res) => {
+      const attachment = await attach(req, res.locals.target);
+      res.status(201).json(present(attachment));
+    });
+
+  router.get('/serial-numbers/:id/attachments', validate({ query: listQuery }), async (req, res) => {
+    const unit = await repos.inventoryCodes.findById(req.params.id);
+    if (!unit) throw notFound('Serial number not found');
+    const result = await repos.attachments.list({ ...req.query, serialNumberId: unit.id });
+    res.json(page({ ...result, data: result.data.map(present) }, req.query));
+  });
+
+  // Attach a file to one unit, e.g. a photo of its damage
+  router.post('/serial-numbers/:id/attachments', canEdit, unitTarget, upload.single('file'), validate({ body: uploadBody }),
+    async (req, res) => {
+      const attachment = await attach(req, res.locals.target);
+      res.status(201).json(present(attachment));
+    });
+
+  router.get('/attachments/:id', async (req, res) => {
+    res.json(present(await findAttachment(repos.attachments, req.params.id)));
+  });
+
+  // Download the file under the name it was uploaded with
+  router.get('/attachments/:id/file', async (req, res) => {
+    const attachment = await findAttachment(repos.attachments, req.params.id);
+    await sendStored(storage, res, attachment.storage_key, attachment.content_type, attachment.file_name);
+  });
+
+  // A small WebP of an image attachment; 404 for other files
+  router.get('/attachments/:id/thumbnail', async (req, res) => {
+    const attachment = await findAttachment(repos.attachments, req.params.id);
+    if (!attachment.thumbnail_key) throw notFound('This attachment has no thumbnail');
+    res.set('Cache-Control', 'private, max-age=86400');
+    await sendStored(storage, res, attachment.thumbnail_key, THUMBNAIL_TYPE);
+  });
+
+  // Delete an attachment and its files for good
+  router.delete('/attachments/:id', canEdit, async (req, res) => {
+    const attachment = await repos.transaction(async (tx) => {
+      const existing = await findAttachment(tx.attachments, req.params.id);
+      assertCanManageRooms(req.user, existing.room_id);
+      await tx.attachments.remove(existing.id);
+      await tx.audit.record({
+        actor: req.user, entity: 'attachment', entityId: existing.id, action: 'delete', before: present(existing)
+      });
+      return existing;
+    });
+    await removeStored(storage, [attachment.storage_key, attachment.thumbnail_key].filter(Boolean));
+
+    res.json({ message: 'Attachment deleted' });
+  });
+
+  return router;
+}
+
+module.exports = createAttachmentsRouter;
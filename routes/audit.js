@@ -0,0 +1,31 @@
+const express = require('express');
+const { ENTITIES, ACTIONS } = require('../repositories/audit');
+const { requireRole } = require('../auth/middleware');
+const { object, string, date, oneOf, validate } = require('../http/validate');
+const { pageFields, page } = require('../http/pagination');
+
+const auditQuery = object({
+  entity: oneOf(ENTITIES),
+  entityId: string(),
+  action: oneOf(ACTIONS),
+  userId: string(),
+  username: string(),
+  from: date(),
+  to: date(),
+  ...pageFields
+});
+
+function createAuditRouter(repos) {
+  const router = express.Router();
+
+  // Audit trail, newest first. Filters: entity, entityId, action, userId,
+  // username, from, to (dates or timestamps); paging with limit and offset.
+  router.get('/audit', requireRole('admin'), validate({ query: auditQuery }), async (req, res) => {
+    const result = await repos.audit.list(req.query);
+    res.json(page(result, req.query));
+  });
+
+  return router;
+}
+
+module.exports = createAuditRouter;
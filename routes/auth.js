@@ -0,0 +1,67 @@
+const express = require('express');
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } = require('../auth/passwords');
+const { SESSION_TTL_MS, requireAuth } = require('../auth/middleware');
+const { unauthorized, validationFailed } = require('../http/errors');
+const { object, string, validate } = require('../http/validate');
+
+const loginBody = object({
+  username: string({ required: true }),
+  password: string({ required: true, trim: false })
+});
+
+const passwordBody = object({
+  currentPassword: string({ required: true, trim: false }),
+  newPassword: string({ required: true, trim: false, min: MIN_PASSWORD_LENGTH })
+});
+
+function createAuthRouter(repos) {
+  const router = express.Router();
+
+  // Log in with username and password; returns a bearer token
+  router.post('/auth/login', validate({ body: loginBody }), async (req, res) => {
+    const { username, password } = req.body;
+
+    const credentials = await repos.users.findCredentials(username);
+    const valid = credentials && await verifyPassword(password, credentials.password_hash);
+    const user = valid && await repos.users.findById(credentials.id);
+
+    if (!user || !user.active) throw unauthorized('Invalid username or password');
+
+    await repos.sessions.purgeExpired();
+    const { token, expiresAt } = await repos.sessions.create(user.id, SESSION_TTL_MS);
+    res.json({ token, expiresAt, user });
+  });
+
+  // End the current session
+  router.post('/auth/logout', requireAuth, async (req, res) => {
+    await repos.sessions.revoke(req.token);
+    res.json({ message: 'Logged out successfully' });
+  });
+
+  // The logged-in user
+  router.get('/auth/me', requireAuth, (req, res) => {
+    res.json(req.user);
+  });
+
+  // Change your own password; signs out every other session
+  router.put('/auth/password', requireAuth, validate({ body: passwordBody }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const credentials = await repos.users.findCredentials(req.user.username);
+    if (!(await verifyPassword(currentPassword, credentials.password_hash))) {
+      throw validationFailed({ currentPassword: 'is incorrect' });
+    }
+
+    const passwordHash = await hashPassword(newPassword);
+    await repos.transaction(async (tx) => {
+      await tx.users.update(req.user.id, { passwordHash });
+      await tx.sessions.revokeAllForUser(req.user.id);
+    });
+    const session = await repos.sessions.create(req.user.id, SESSION_TTL_MS);
+    res.json({ message: 'Password changed successfully', ...session });
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
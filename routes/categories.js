@@ -0,0 +1,136 @@
+const express = require('express');
+const { ATTRIBUTE_TYPES, ATTRIBUTE_KEY } = require('../repositories/categories');
+const { isUniqueViolation } = require('../db/errors');
+const { requireRole } = require('../auth/middleware');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, boolean, oneOf, array, nested, validate } = require('../http/validate');
+
+// Most attributes one category may define, and options one attribute may offer
+const MAX_ATTRIBUTES = 50;
+const MAX_OPTIONS = 100;
+
+const attributeBody = object({
+  key: string({ required: true, max: 50, match: ATTRIBUTE_KEY }),
+  label: string({ required: true, max: 100 }),
+  type: oneOf(ATTRIBUTE_TYPES, { required: true }),
+  unit: string({ max: 20 }),
+  options: array(string({ required: true, max: 100 }), { min: 1, max: MAX_OPTIONS, unique: true }),
+  required: boolean({ default: false })
+}, ({ type, options }) => {
+  if (type === 'option' && !options) return { options: 'is required for option attributes' };
+  if (type !== 'option' && options) return { options: 'is only for option attributes' };
+  return null;
+});
+
+// `attributes` is the whole list, in the order they are shown; on update it
+// replaces the current one
+const categoryFields = (required) => ({
+  name: string({ required, allowBlank: false, max: 100 }),
+  description: string({ max: 2000 }),
+  attributes: array(nested(attributeBody), { max: MAX_ATTRIBUTES })
+});
+
+const uniqueKeys = ({ attributes = [] }) => {
+  const seen = new Set();
+  const repeated = attributes.find(({ key }) => seen.has(key) || !seen.add(key));
+  return repeated ? { attributes: `key ${repeated.key} appears more than once` } : null;
+};
+
+const createCategoryBody = object(categoryFields(true), uniqueKeys);
+
+// Fields left out keep their current value
+const updateCategoryBody = object(categoryFields(false), uniqueKeys);
+
+const DUPLICATE_NAME = () => conflict('A category with this name already exists', 'DUPLICATE_NAME');
+
+// Anyone logged in can list categories; only admins manage them
+function createCategoriesRouter(repos) {
+  const router = express.Router();
+  const adminOnly = requireRole('admin');
+
+  // Every category with its attributes and item count, by name
+  router.get('/categories', async (req, res) => {
+    res.json(await repos.categories.list());
+  });
+
+  router.get('/categories/:id', async (req, res) => {
+    const category = await repos.categories.findById(req.params.id);
+    if (!category) throw notFound('Category not found');
+    res.json(category);
+  });
+
+  router.post('/categories', adminOnly, validate({ body: createCategoryBody }), async (req, res) => {
+    try {
+      const category = await repos.transaction(async (tx) => {
+        const created = await tx.categories.create(req.body);
+        await tx.audit.record({
+          actor: req.user, entity: 'category', entityId: created.id, action: 'create', after: created
+        });
+        return created;
+      });
+      res.status(201).json(category);
+    } catch (err) {
+      throw isUniqueViolation(err) ? DUPLICATE_NAME() : err;
+    }
+  });
+
+  // Update a category. An attribute keeps its type once it has one; units
+  // lose their values for attributes that are taken out of the list and for
+  // options that are.
+  router.put('/categories/:id', adminOnly, validate({ body: updateCategoryBody }), async (req, res) => {
+    const { name, description, attributes } = req.body;
+
+    try {
+      const category = await repos.transaction(async (tx) => {
+        const existing = await tx.categories.findById(req.params.id);
+        if (!existing) throw notFound('Category not found');
+
+        const fields = {};
+        (attributes || []).forEach(({ key, type }, index) => {
+          const before = existing.attributes.find((attribute) => attribute.key === key);
+          if (before && before.type !== type) {
+            fields[`attributes[${index}].type`] = `cannot change from ${before.type}; remove ${key} and add it again`;
+          }
+        });
+        if (Object.keys(fields).length > 0) throw validationFailed(fields);
+
+        const updated = await tx.categories.update(existing.id, {
+          name: name ?? existing.name,
+          description: description ?? existing.description,
+          attributes
+        });
+        await tx.audit.record({
+          actor: req.user, entity: 'category', entityId: existing.id, action: 'update', before: existing, after: updated
+        });
+        return updated;
+      });
+      res.json(category);
+    } catch (err) {
+      throw isUniqueViolation(err) ? DUPLICATE_NAME() : err;
+    }
+  });
+
+  // Delete a category no item is in any more
+  router.delete('/categories/:id', adminOnly, async (req, res) => {
+    await repos.transaction(async (tx) => {
+      const category = await tx.categories.findById(req.params.id);
+      if (!category) throw notFound('Category not found');
+      if (category.item_count > 0) {
+        throw conflict(
+          `${category.item_count} item(s) are in this category; move them to another first`,
+          'CATEGORY_IN_USE'
+        );
+      }
+      await tx.categories.remove(category.id);
+      await tx.audit.record({
+        actor: req.user, entity: 'category', entityId: category.id, action: 'delete', before: category
+      });
+    });
+
+    res.json({ message: 'Category deleted' });
+  });
+
+  return router;
+}
+
+module.exports = createCategoriesRouter;
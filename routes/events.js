@@ -0,0 +1,66 @@
+const express = require('express');
+const { object, string, validate } = require('../http/validate');
+
+// A comment line this often keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+
+// How often an open stream checks that its session is still valid
+const SESSION_CHECK_MS = 10000;
+
+// ?roomIds=<id>,<id> limits the stream to those rooms
+const eventsQuery = object({
+  roomIds: string({ max: 2000 })
+});
+
+const send = (res, event, data, id) => {
+  res.write(`${id === undefined ? '' : `id: ${id}\n`}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+function createEventsRouter(changes, sessions) {
+  const router = express.Router();
+
+  // Server-Sent Events: a `change` event for each item, unit or room that is
+  // created, updated, deleted, restored or purged, sent once it is committed.
+  // The stream opens with a `ready` event naming the rooms it covers. Once
+  // its session ends (logout, expiry, a password change or a deactivated
+  // user) it sends `expired` and closes.
+  router.get('/events', validate({ query: eventsQuery }), (req, res) => {
+    const roomIds = (req.query.roomIds || '').split(',').map((id) => id.trim()).filter(Boolean);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stops nginx-style proxies from holding events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    send(res, 'ready', { roomIds });
+
+    const unsubscribe = changes.subscribe(roomIds, (change) => send(res, 'change', change, change.id));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const sessionCheck = setInterval(async () => {
+      try {
+        if (await sessions.findUserId(req.token)) return;
+      } catch (err) {
+        // Keep the stream when the check itself fails; the next one decides
+        console.error('Session check for an event stream failed:', err);
+        return;
+      }
+      stop();
+      send(res, 'expired', {});
+      res.end();
+    }, SESSION_CHECK_MS);
+
+    function stop() {
+      clearInterval(heartbeat);
+      clearInterval(sessionCheck);
+      unsubscribe();
+    }
+    req.on('close', stop);
+  });
+
+  return router;
+}
+
+module.exports = createEventsRouter;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { validationFailed } = require('../http/errors');
+const { object, string, oneOf, validate } = require('../http/validate');
+const { toCsv, toXlsx, toPdf } = require('../reports/inventory');
+const { slug } = require('../reports/util');
+
+const FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const exportQuery = object({
+  format: oneOf(FORMATS, { default: 'csv' }),
+  roomId: string(),
+  location: string()
+}, ({ roomId, location }) => (
+  roomId && location ? { location: 'cannot be combined with roomId' } : null
+));
+
+function createExportsRouter(repos) {
+  const router = express.Router();
+
+  // Every unit with its code, specs and status, grouped by room and item,
+  // with a total per status. ?format=csv (default), xlsx or pdf; one room
+  // with roomId or location (room name), otherwise the whole inventory.
+  router.get('/export/inventory', validate({ query: exportQuery }), async (req, res) => {
+    const { format, roomId, location } = req.query;
+
+    let room;
+    if (roomId || location) {
+      room = roomId ? await repos.rooms.findById(roomId) : await repos.rooms.findByName(location);
+      if (!room) {
+        throw validationFailed(roomId ? { roomId: 'does not match a room' } : { location: 'does not match a room' });
+      }
+    }
+
+    const inventory = await repos.reports.inventory({ roomId: room && room.id });
+    const generatedAt = new Date();
+    res.attachment(`inventory-${room ? slug(room.name) : 'all-rooms'}-${generatedAt.toISOString().slice(0, 10)}.${format}`);
+
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8').send(toCsv(inventory));
+    } else if (format === 'xlsx') {
+      res.send(await toXlsx(inventory));
+    } else {
+      toPdf(inventory, { title: room ? `Inventory of ${room.name}` : 'Inventory of all rooms', generatedAt }).pipe(res);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createExportsRouter;
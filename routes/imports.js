@@ -0,0 +1,285 @@
+const express = require('express');
+const multer = require('multer');
+const { toStatus, statusChangeProblem, STATUSES } = require('../repositories/inventoryCodes');
+const { checkAttributes } = require('../repositories/categories');
+const { requireRole, canManageRoom } = require('../auth/middleware');
+const { isUniqueViolation } = require('../db/errors');
+const { badRequest, conflict, validationFailed } = require('../http/errors');
+const { FieldError, object, string, integer, boolean, date, validate } = require('../http/validate');
+const { readSpreadsheet } = require('../spreadsheets/read');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_ROWS = 5000;
+
+// Most units one row may ask to have generated
+const MAX_QUANTITY = 500;
+
+// What a column can be imported as, and the headers recognised for it
+// without a mapping (compared without case, spaces or punctuation)
+const IMPORT_FIELDS = {
+  name: ['name', 'nama', 'namabarang', 'barang', 'item'],
+  information: ['information', 'keterangan', 'info', 'deskripsi', 'description'],
+  location: ['location', 'lokasi', 'tempat', 'room', 'ruang', 'ruangan'],
+  serialNumber: ['serialnumber', 'kode', 'kodeinventaris', 'kodebarang', 'code', 'inventorycode'],
+  specs: ['specs', 'spesifikasi', 'spec', 'specification'],
+  status: ['status', 'kondisi', 'condition'],
+  dateAdded: ['dateadded', 'tanggal', 'tanggalmasuk', 'date'],
+  quantity: ['quantity', 'jumlah', 'qty']
+};
+
+const REQUIRED_FIELDS = ['name', 'location'];
+
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// { field: column } sent as a JSON string in the form. A null column leaves
+// a field out even when a header would have been recognised.
+const mappingField = {
+  parse(value) {
+    if (value === undefined || value === '') return undefined;
+    let mapping;
+    try {
+      mapping = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (err) {
+      throw new FieldError('must be a JSON object');
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw new FieldError('must be a JSON object');
+
+    const unknown = Object.keys(mapping).filter((field) => !(field in IMPORT_FIELDS));
+    if (unknown.length > 0) {
+      throw new FieldError(`has unknown fields: ${unknown.join(', ')} (use ${Object.keys(IMPORT_FIELDS).join(', ')})`);
+    }
+    if (Object.values(mapping).some((column) => column !== null && typeof column !== 'string')) {
+      throw new FieldError('must map each field to a column name or null');
+    }
+    return mapping;
+  }
+};
+
+const importBody = object({
+  dryRun: boolean({ default: true }),
+  mapping: mappingField,
+  sheet: string({ max: 100 })
+});
+
+// The first column of the file that the field recognises, unless the caller
+// mapped it already. Fails when a mapped column is missing or a required
+// field has no column.
+function columnMapping(headers, given = {}) {
+  const fields = {};
+  for (const [field, column] of Object.entries(given)) {
+    if (column !== null && !headers.includes(column)) fields[`mapping.${field}`] = `column "${column}" is not in the file`;
+  }
+  if (Object.keys(fields).length > 0) throw validationFailed(fields);
+
+  const mapping = { ...given };
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    if (field in mapping) continue;
+    const taken = Object.values(mapping);
+    const column = headers.find((header) => aliases.includes(headerKey(header)) && !taken.includes(header));
+    if (column) mapping[field] = column;
+  }
+
+  for (const field of REQUIRED_FIELDS.filter((required) => !mapping[required])) {
+    fields[`mapping.${field}`] = `is required; no column was recognised among: ${headers.join(', ')}`;
+  }
+  if (Object.keys(fields).length > 0) throw validationFailed(fields);
+
+  return Object.fromEntries(Object.entries(mapping).filter(([, column]) => column !== null));
+}
+
+// A status in English or Indonesian (baik, rusak, hilang, ...), in any case
+const statusCell = {
+  parse(value) {
+    if (value === undefined) return undefined;
+    const status = toStatus(value);
+    if (!status) throw new FieldError(`must be one of: ${STATUSES.join(', ')}`);
+    return status;
+  }
+};
+
+// Excel gives dates as Dates; typed ones come as ISO dates or day first
+// (15/03/2024), the way they are written in Indonesia
+const DAY_FIRST = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const dateCell = {
+  parse(value) {
+    const dayFirst = typeof value === 'string' && value.match(DAY_FIRST);
+    if (!dayFirst) return date().parse(value);
+    const [, day, month, year] = dayFirst;
+    return date().parse(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
+  }
+};
+
+// One row is an item, optionally with one unit (by its code) or `quantity`
+// units whose codes are generated
+const rowSchema = object({
+  name: string({ required: true, max: 200 }),
+  information: string({ max: 2000 }),
+  location: string({ required: true, max: 100 }),
+  serialNumber: string({ max: 100 }),
+  specs: string({ max: 2000 }),
+  status: statusCell,
+  dateAdded: dateCell,
+  quantity: integer({ min: 1, max: MAX_QUANTITY })
+}, ({ serialNumber, quantity }) => (
+  serialNumber && quantity > 1 ? { quantity: 'must be 1 when the row has a serialNumber' } : null
+));
+
+// Thrown to roll back a dry run (or a file with errors) once its report is done
+class Rollback extends Error {
+  constructor(report) {
+    super('Import rolled back');
+    this.report = report;
+  }
+}
+
+// Applies one row inside the import's transaction and says what it did:
+// create (a new item or unit), update (a unit's specs or status), unchanged,
+// or error with { field: message }. `seen` maps codes to the row that had
+// them first.
+async function importRow(tx, user, { line, values }, mapping, seen) {
+  const cells = Object.fromEntries(Object.entries(mapping).map(([field, column]) => [field, values[column]]));
+  const { value, errors } = rowSchema.parse(cells);
+  const { name, information, location, serialNumber, specs, status, dateAdded, quantity } = value;
+  const failed = () => ({ row: line, action: 'error', name, location, errors });
+
+  if (Object.keys(errors).length > 0) return failed();
+
+  const room = await tx.rooms.findByName(location);
+  if (!room) errors.location = 'does not match a room';
+  else if (!canManageRoom(user, room.id)) errors.location = 'is not a room you manage';
+
+  if (serialNumber) {
+    if (seen.has(serialNumber)) errors.serialNumber = `repeats row ${seen.get(serialNumber)}`;
+    else seen.set(serialNumber, line);
+  }
+  if (Object.keys(errors).length > 0) return failed();
+
+  let item = await tx.items.findMatchInRoom(room.id, { name, information });
+  if (item && item.tracking === 'quantity' && (serialNumber || quantity)) {
+    errors.name = 'matches a consumable, which is counted by quantity and has no units';
+    return failed();
+  }
+  const holder = serialNumber && await tx.inventoryCodes.findByCode(serialNumber);
+  if (holder && holder.item_id !== item?.id) {
+    const other = await tx.inventoryCodes.findById(holder.id);
+    errors.serialNumber = `is already used by ${other.item_name} in ${other.location}`;
+    return failed();
+  }
+  if (serialNumber && !holder && (await tx.inventoryCodes.findTakenCodes([serialNumber])).length > 0) {
+    errors.serialNumber = 'is held by a unit in the trash';
+    return failed();
+  }
+
+  let action = 'unchanged';
+  if (!item) {
+    item = await tx.items.create({ name, information, roomId: room.id });
+    await tx.audit.record({ actor: user, entity: 'item', entityId: item.id, action: 'create', after: item });
+    action = 'create';
+  }
+  const done = (serialNumbers) => ({ row: line, action, itemId: item.id, name, location, serialNumbers });
+
+  // A code the item already has: only its specs and status can change
+  if (holder) {
+    const before = await tx.inventoryCodes.findById(holder.id);
+    const spesifikasi = specs ?? before.spesifikasi;
+    const newStatus = status ?? before.status;
+    const problem = statusChangeProblem(before.status, newStatus);
+    if (problem) {
+      errors.status = problem;
+      return failed();
+    }
+    if (spesifikasi !== before.spesifikasi || newStatus !== before.status) {
+      const updated = await tx.inventoryCodes.update(before.id, {
+        kodeInventaris: serialNumber, spesifikasi, status: newStatus
+      }, { changedBy: user.username, note: `Imported from row ${line}` });
+      await tx.audit.record({
+        actor: user, entity: 'inventory_code', entityId: before.id, action: 'update', before, after: updated
+      });
+      if (action === 'unchanged') action = 'update';
+    }
+    return done([serialNumber]);
+  }
+
+  // Rows carry no attribute values, so units of an item whose category
+  // requires some cannot be imported
+  if ((serialNumber || quantity) && item.category_id) {
+    const category = await tx.categories.findById(item.category_id);
+    Object.assign(errors, checkAttributes(category, {}, { complete: true }).errors);
+    if (Object.keys(errors).length > 0) return failed();
+  }
+
+  const codes = serialNumber ? [serialNumber] : [];
+  while (!serialNumber && codes.length < (quantity || 0)) {
+    codes.push(await tx.codeSequences.next(room, dateAdded));
+  }
+  for (const kodeInventaris of codes) {
+    const unit = await tx.inventoryCodes.create({
+      itemId: item.id, kodeInventaris, spesifikasi: specs, status, dateAdded, changedBy: user.username
+    });
+    await tx.audit.record({ actor: user, entity: 'inventory_code', entityId: unit.id, action: 'create', after: unit });
+    action = 'create';
+  }
+  return done(codes);
+}
+
+const summarize = (rows) => {
+  const summary = { rows: rows.length, create: 0, update: 0, unchanged: 0, error: 0 };
+  rows.forEach((row) => { summary[row.action] += 1; });
+  return summary;
+};
+
+function createImportsRouter(repos) {
+  const router = express.Router();
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_SIZE, files: 1 } });
+
+  // Import items and units from a CSV or XLSX upload (multipart field `file`).
+  // By default this is a dry run: every row is tried in a transaction that is
+  // rolled back, and the response says what each row would do. Send
+  // dryRun=false to commit; then either every row is imported or, when any
+  // row fails, none is.
+  router.post('/items/import', requireRole('admin', 'laboran'), upload.single('file'),
+    validate({ body: importBody }), async (req, res) => {
+      const { dryRun, sheet } = req.body;
+      if (!req.file) throw validationFailed({ file: 'is required' });
+
+      const { format, headers, rows } = await readSpreadsheet(req.file, { sheet });
+      const mapping = columnMapping(headers, req.body.mapping);
+      if (rows.length === 0) throw badRequest('The file has no rows below the header', 'INVALID_FILE');
+      if (rows.length > MAX_ROWS) {
+        throw badRequest(`The file has ${rows.length} rows; import at most ${MAX_ROWS} at a time`, 'INVALID_FILE');
+      }
+
+      let report;
+      try {
+        report = await repos.transaction(async (tx) => {
+          const seen = new Map();
+          const results = [];
+          for (const row of rows) {
+            results.push(await importRow(tx, req.user, row, mapping, seen));
+          }
+          const outcome = { format, mapping, summary: summarize(results), rows: results };
+          if (dryRun || outcome.summary.error > 0) throw new Rollback(outcome);
+          return outcome;
+        });
+      } catch (err) {
+        if (isUniqueViolation(err)) {
+          throw conflict('An inventory code in the file was taken while importing; nothing was imported', 'DUPLICATE_CODE');
+        }
+        if (!(err instanceof Rollback)) throw err;
+        report = err.report;
+      }
+
+      if (!dryRun && report.summary.error > 0) {
+        const fields = {};
+        for (const row of report.rows.filter((result) => result.action === 'error')) {
+          for (const [field, message] of Object.entries(row.errors)) fields[`rows[${row.row}].${field}`] = message;
+        }
+        throw validationFailed(fields, `${report.summary.error} of ${rows.length} rows have errors; nothing was imported`);
+      }
+      res.json({ dryRun, ...report });
+    });
+
+  return router;
+}
+
+module.exports = createImportsRouter;
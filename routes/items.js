@@ -0,0 +1,229 @@
+const express = require('express');
+const { SORTS, TRACKING } = require('../repositories/items');
+const { MAX_STOCK } = require('../repositories/stockMovements');
+const { STATUSES } = require('../repositories/inventoryCodes');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, integer, date, oneOf, validate } = require('../http/validate');
+const { pageFields, sortFields, page } = require('../http/pagination');
+const { attributeFilters } = require('../http/attributes');
+
+// Items are placed by `roomId`, or by room name in `location` as the
+// frontend has always sent it. `usefulLifeYears` is what their units'
+// book value is depreciated over; null goes back to the default. null
+// takes an item out of its category, and clears `information` as "" does.
+// `minQuantity` is the stock below which a consumable shows up in
+// GET /low-stock; null for none.
+const itemFields = (required) => ({
+  name: string({ required, allowBlank: false, max: 200 }),
+  information: string({ max: 2000, nullable: true }),
+  roomId: string(),
+  location: string(),
+  usefulLifeYears: integer({ min: 1, max: 100, nullable: true }),
+  categoryId: string({ nullable: true }),
+  minQuantity: integer({ min: 0, max: MAX_STOCK, nullable: true })
+});
+
+const CONSUMABLES_ONLY = 'is only for items tracked by quantity';
+
+// A consumable (`tracking: "quantity"`) may start with a `quantity` in
+// stock. Items tracked by unit ignore `quantity`, which the frontend has
+// always sent along; their units are added as serial numbers.
+const createItemBody = object({
+  ...itemFields(true),
+  tracking: oneOf(TRACKING, { default: 'unit' }),
+  quantity: integer({ min: 0, max: MAX_STOCK })
+}, ({ roomId, location, tracking, minQuantity }) => {
+  if (!roomId && !location) return { roomId: 'is required (or a room name in location)' };
+  if (tracking === 'unit' && minQuantity != null) return { minQuantity: CONSUMABLES_ONLY };
+  return null;
+});
+
+// Fields left out keep their current value
+const updateItemBody = object(itemFields(false));
+
+const listQuery = object({
+  roomId: string(),
+  location: string(),
+  name: string(),
+  status: oneOf(STATUSES),
+  from: date(),
+  to: date(),
+  categoryId: string(),
+  attributes: attributeFilters,
+  tracking: oneOf(TRACKING),
+  ...sortFields(SORTS, { sort: 'created_at' }),
+  ...pageFields
+});
+
+const countQuery = object({ location: string({ required: true }) });
+
+async function resolveRoom(rooms, { roomId, location }) {
+  const room = roomId ? await rooms.findById(roomId) : await rooms.findByName(location);
+  if (!room) {
+    throw validationFailed(roomId ? { roomId: 'does not match a room' } : { location: 'does not match a room' });
+  }
+  return room;
+}
+
+// The category `categoryId` names, or 400
+async function resolveCategory(categories, categoryId) {
+  const category = await categories.findById(categoryId);
+  if (!category) throw validationFailed({ categoryId: 'does not match a category' });
+  return category;
+}
+
+function createItemsRouter(repos) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+
+  // List items with unit counts, a page at a time
+  router.get('/items', validate({ query: listQuery }), async (req, res) => {
+    const result = await repos.items.listWithCounts(req.query);
+    res.json(page(result, req.query));
+  });
+
+  // Get single item
+  router.get('/items/:id', async (req, res) => {
+    const item = await repos.items.findById(req.params.id);
+    if (!item) throw notFound('Item not found');
+    res.json(item);
+  });
+
+  // Add new item
+  router.post('/items', canEdit, validate({ body: createItemBody }), async (req, res) => {
+    const { name, information, location, roomId, usefulLifeYears, categoryId, tracking, quantity, minQuantity } = req.body;
+
+    const room = await resolveRoom(repos.rooms, { roomId, location });
+    assertCanManageRooms(req.user, room.id);
+    if (categoryId) await resolveCategory(repos.categories, categoryId);
+
+    // Don't auto-create serial numbers - let user add them manually
+    // This gives users full control over when codes are created
+    const newItem = await repos.transaction(async (tx) => {
+      let created = await tx.items.create({
+        name, information, roomId: room.id, usefulLifeYears, categoryId, tracking, minQuantity
+      });
+      // A consumable's opening stock goes into its ledger like any other
+      if (tracking === 'quantity' && quantity > 0) {
+        await tx.stockMovements.record(created, {
+          type: 'in', quantity, note: 'Initial stock', movedBy: req.user.username
+        });
+        created = await tx.items.findById(created.id);
+      }
+      await tx.audit.record({ actor: req.user, entity: 'item', entityId: created.id, action: 'create', after: created });
+      return created;
+    });
+
+    res.status(201).json({
+      ...newItem,
+      serialNumbers: [],
+      success: true,
+      message: 'Item created successfully'
+    });
+  });
+
+  // Update item. Moving it to another category drops the values its units
+  // have for attributes the new category does not define.
+  router.put('/items/:id', canEdit, validate({ body: updateItemBody }), async (req, res) => {
+    const { name, information, location, roomId, usefulLifeYears, categoryId, minQuantity } = req.body;
+    const room = roomId || location ? await resolveRoom(repos.rooms, { roomId, location }) : undefined;
+    if (categoryId) await resolveCategory(repos.categories, categoryId);
+
+    const updatedItem = await repos.transaction(async (tx) => {
+      const item = await tx.items.findById(req.params.id);
+      if (!item) throw notFound('Item not found');
+
+      const toRoomId = room ? room.id : item.room_id;
+      assertCanManageRooms(req.user, item.room_id, toRoomId);
+      if (item.tracking === 'unit' && minQuantity != null) throw validationFailed({ minQuantity: CONSUMABLES_ONLY });
+
+      // Changing the room moves every unit, so it goes into the transfer
+      // history; lent units have to come back first
+      if (item.room_id !== toRoomId) {
+        const lent = await tx.loans.outstandingUnits({ itemId: item.id });
+        if (lent.length > 0) {
+          throw conflict(`${lent.length} unit(s) of this item are out on loan; take them back first`, 'UNIT_ON_LOAN');
+        }
+        // The whole item moves, which the update below records
+        const { transfer } = await tx.transfers.moveUnits({
+          item, toRoomId, note: 'Location changed via item update'
+        });
+        await tx.audit.record({
+          actor: req.user, entity: 'transfer', entityId: transfer.id, action: 'create', after: transfer
+        });
+      }
+      const updated = await tx.items.update(item.id, {
+        name: name ?? item.name,
+        information: information === undefined ? item.information : information ?? '',
+        roomId: toRoomId,
+        usefulLifeYears: usefulLifeYears === undefined ? item.useful_life_years : usefulLifeYears,
+        categoryId: categoryId === undefined ? item.category_id : categoryId,
+        minQuantity: minQuantity === undefined ? item.min_quantity : minQuantity
+      });
+      if ((updated.category_id || null) !== (item.category_id || null)) {
+        await tx.inventoryCodes.pruneAttributes(item.id);
+      }
+      await tx.audit.record({
+        actor: req.user, entity: 'item', entityId: item.id, action: 'update', before: item, after: updated
+      });
+      return updated;
+    });
+
+    res.json({ ...updatedItem, success: true });
+  });
+
+  // Delete item. It goes to the trash with its units, from where it can be
+  // restored (see routes/trash.js).
+  router.delete('/items/:id', canEdit, async (req, res) => {
+    await repos.transaction(async (tx) => {
+      const item = await tx.items.findById(req.params.id);
+      if (!item) throw notFound('Item not found');
+      assertCanManageRooms(req.user, item.room_id);
+
+      const lent = await tx.loans.outstandingUnits({ itemId: item.id });
+      if (lent.length > 0) {
+        throw conflict(`${lent.length} unit(s) of this item are out on loan; take them back first`, 'UNIT_ON_LOAN');
+      }
+
+      // The item's units go with it, so keep them in the audit entry
+      const units = await tx.inventoryCodes.listByItem(item.id);
+      await tx.trash.removeItem(item.id, req.user.username);
+      await tx.audit.record({
+        actor: req.user, entity: 'item', entityId: item.id, action: 'delete', before: { ...item, units }
+      });
+    });
+
+    res.json({ message: 'Item moved to the trash', success: true });
+  });
+
+  // Get serial numbers by item ID (frontend shape)
+  router.get('/items/:itemId/serial-numbers', async (req, res) => {
+    const rows = await repos.inventoryCodes.listByItem(req.params.itemId);
+
+    const serials = rows.map((row) => ({
+      id: row.id,
+      serialNumber: row.kode_inventaris,  // ✅ maps to frontend "serialNumber"
+      specs: row.spesifikasi,             // ✅ maps to frontend "specs"
+      status: row.status
+    }));
+
+    res.json(serials);
+  });
+
+  // Get items with their serial numbers count
+  router.get('/items-with-counts', async (req, res) => {
+    const items = await repos.items.listWithSerialCounts();
+    res.json(items);
+  });
+
+  // Get total inventory count for a given location
+  router.get('/inventory-count/by-location', validate({ query: countQuery }), async (req, res) => {
+    const total = await repos.items.countUnitsByLocation(req.query.location);
+    res.json({ total });
+  });
+
+  return router;
+}
+
+module.exports = createItemsRouter;
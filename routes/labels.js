@@ -0,0 +1,80 @@
+const express = require('express');
+const { notFound, validationFailed } = require('../http/errors');
+const { object, string, integer, oneOf, validate } = require('../http/validate');
+const { LABEL_TYPES, toPng, toSvg, toLabelSheet } = require('../reports/labels');
+const { slug } = require('../reports/util');
+
+const labelQuery = object({
+  type: oneOf(LABEL_TYPES, { default: 'qr' }),
+  format: oneOf(['png', 'svg'], { default: 'png' }),
+  scale: integer({ min: 1, max: 10, default: 4 })
+});
+
+const sheetQuery = object({
+  type: oneOf(LABEL_TYPES, { default: 'qr' }),
+  itemId: string(),
+  roomId: string()
+}, ({ itemId, roomId }) => {
+  if (itemId && roomId) return { roomId: 'cannot be combined with itemId' };
+  return itemId || roomId ? null : { itemId: 'is required (or a roomId)' };
+});
+
+const lookupQuery = object({ code: string({ required: true, max: 100 }) });
+
+function createLabelsRouter(repos) {
+  const router = express.Router();
+
+  // A unit's label as an image: ?type=qr (default) or code128,
+  // ?format=png (default) or svg, ?scale=1-10 for PNG size
+  router.get('/serial-numbers/:id/label', validate({ query: labelQuery }), async (req, res) => {
+    const { type, format, scale } = req.query;
+
+    const serialNumber = await repos.inventoryCodes.findById(req.params.id);
+    if (!serialNumber) throw notFound('Serial number not found');
+    if (!serialNumber.kode_inventaris) throw notFound('Serial number has no inventory code to label');
+
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(toSvg(type, serialNumber.kode_inventaris, { scale }));
+    } else {
+      res.type('image/png').send(await toPng(type, serialNumber.kode_inventaris, { scale }));
+    }
+  });
+
+  // A printable A4 sheet of labels for every unit of an item (?itemId=) or
+  // a room (?roomId=)
+  router.get('/labels', validate({ query: sheetQuery }), async (req, res) => {
+    const { type, itemId, roomId } = req.query;
+
+    let name;
+    let units;
+    if (itemId) {
+      const item = await repos.items.findById(itemId);
+      if (!item) throw validationFailed({ itemId: 'does not match an item' });
+      name = `${item.name} in ${item.location}`;
+      units = (await repos.inventoryCodes.listByItem(item.id))
+        .map((unit) => ({ ...unit, item_name: item.name, location: item.location }));
+    } else {
+      const [room] = await repos.reports.inventory({ roomId });
+      if (!room) throw validationFailed({ roomId: 'does not match a room' });
+      name = room.room.name;
+      units = room.items.flatMap((item) => item.units.map((unit) => ({
+        ...unit, item_name: item.name, location: room.room.name
+      })));
+    }
+
+    const sheet = await toLabelSheet(units.filter((unit) => unit.kode_inventaris), { type, title: `Labels for ${name}` });
+    res.attachment(`labels-${slug(name)}.pdf`);
+    sheet.pipe(res);
+  });
+
+  // Resolve a scanned label to its unit, with the item and room it is in
+  router.get('/lookup', validate({ query: lookupQuery }), async (req, res) => {
+    const unit = await repos.inventoryCodes.findByCode(req.query.code);
+    if (!unit) throw notFound(`No unit has inventory code ${req.query.code}`);
+    res.json(await repos.inventoryCodes.findById(unit.id));
+  });
+
+  return router;
+}
+
+module.exports = createLabelsRouter;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { STATUSES: LOAN_STATUSES, SORTS } = require('../repositories/loans');
+const { statusChangeProblem } = require('../repositories/inventoryCodes');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { isUniqueViolation } = require('../db/errors');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, date, oneOf, array, nested, validate } = require('../http/validate');
+const { pageFields, sortFields, page } = require('../http/pagination');
+
+// Most units one loan may cover
+const MAX_UNITS = 100;
+
+// Units in these conditions can be lent out
+const LENDABLE = ['good', 'minor_damage'];
+
+// What a unit can come back as; `lost` closes it on the loan without it
+// coming back at all
+const RETURN_STATUSES = ['good', 'minor_damage', 'broken', 'lost'];
+
+const listQuery = object({
+  status: oneOf(LOAN_STATUSES),
+  borrower: string(),
+  serialNumberId: string(),
+  roomId: string(),
+  from: date(),
+  to: date(),
+  ...sortFields(SORTS, { sort: 'loaned_at' }),
+  ...pageFields
+});
+
+// borrowerNumber is the student's NIM or the lecturer's NIP
+const createLoanBody = object({
+  borrowerName: string({ required: true, max: 200 }),
+  borrowerNumber: string({ max: 50 }),
+  borrowerContact: string({ max: 200 }),
+  serialNumberIds: array(string({ required: true }), { required: true, min: 1, max: MAX_UNITS, unique: true }),
+  dueAt: date({ required: true }),
+  note: string({ max: 1000 })
+}, ({ dueAt }) => (
+  new Date(dueAt) <= new Date() ? { dueAt: 'must be in the future' } : null
+));
+
+// Each returned unit comes with the condition it came back in
+const returnBody = object({
+  units: array(nested(object({
+    serialNumberId: string({ required: true }),
+    status: oneOf(RETURN_STATUSES, { required: true }),
+    note: string({ max: 1000 })
+  })), { required: true, min: 1, max: MAX_UNITS }),
+  note: string({ max: 1000 })
+}, ({ units }) => {
+  const ids = units.map((unit) => unit.serialNumberId);
+  return new Set(ids).size < ids.length ? { units: 'must not list a serial number twice' } : null;
+});
+
+// 409 naming each unit of `codeIds` that is already out on a loan
+async function assertNotOnLoan(loans, codeIds) {
+  const out = await loans.outstandingUnits({ codeIds });
+  if (out.length === 0) return;
+  const fields = {};
+  for (const unit of out) {
+    fields[`serialNumberIds[${codeIds.indexOf(unit.inventory_code_id)}]`] = (
+      `${unit.kode_inventaris} is on loan to ${unit.borrower_name} (loan ${unit.loan_id})`
+    );
+  }
+  throw conflict(`${out.length} unit(s) are already on loan`, 'UNIT_ON_LOAN', fields);
+}
+
+const onLoan = () => conflict('A unit was lent by another request at the same time', 'UNIT_ON_LOAN');
+
+function createLoansRouter(repos) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+
+  // List loans, a page at a time. ?status=active for everything still out,
+  // ?status=overdue for what is past its due date.
+  router.get('/loans', validate({ query: listQuery }), async (req, res) => {
+    const result = await repos.loans.list(req.query);
+    res.json(page(result, req.query));
+  });
+
+  // Get a loan with its units
+  router.get('/loans/:id', async (req, res) => {
+    const loan = await repos.loans.findById(req.params.id);
+    if (!loan) throw notFound('Loan not found');
+    res.json(loan);
+  });
+
+  // Lend units to a borrower until dueAt. Laborans can only lend units from
+  // their own rooms; only good or slightly damaged units that are not
+  // already out can be lent.
+  router.post('/loans', canEdit, validate({ body: createLoanBody }), async (req, res) => {
+    const { borrowerName, borrowerNumber, borrowerContact, serialNumberIds, dueAt, note } = req.body;
+
+    try {
+      const loan = await repos.transaction(async (tx) => {
+        const units = [];
+        const missing = [];
+        for (const id of serialNumberIds) {
+          const unit = await tx.inventoryCodes.findById(id);
+          if (unit) units.push(unit);
+          else missing.push(id);
+        }
+        if (missing.length > 0) throw validationFailed({ serialNumberIds: `do not match a unit: ${missing.join(', ')}` });
+        assertCanManageRooms(req.user, ...units.map((unit) => unit.room_id));
+
+        const unfit = units.filter((unit) => !LENDABLE.includes(unit.status));
+        if (unfit.length > 0) {
+          throw validationFailed({
+            serialNumberIds: `cannot be lent while ${unfit.map((unit) => `${unit.kode_inventaris} is ${unit.status}`).join(', ')}`
+          });
+        }
+        await assertNotOnLoan(tx.loans, serialNumberIds);
+
+        const created = await tx.loans.create({
+          borrowerName, borrowerNumber, borrowerContact, note, dueAt, units, lentBy: req.user.username
+        });
+        await tx.audit.record({ actor: req.user, entity: 'loan', entityId: created.id, action: 'create', after: created });
+        return created;
+      });
+      res.status(201).json(loan);
+    } catch (err) {
+      throw isUniqueViolation(err) ? onLoan() : err;
+    }
+  });
+
+  // Take back some or all of a loan's units. The condition each comes back
+  // in (or lost) becomes its status in the inventory.
+  router.post('/loans/:id/return', canEdit, validate({ body: returnBody }), async (req, res) => {
+    const { units, note } = req.body;
+
+    const loan = await repos.transaction(async (tx) => {
+      const existing = await tx.loans.findById(req.params.id);
+      if (!existing) throw notFound('Loan not found');
+      if (existing.status === 'returned') throw conflict('Every unit of this loan has been returned', 'LOAN_RETURNED');
+
+      const out = new Map(existing.units.filter((unit) => !unit.returned_at).map((unit) => [unit.inventory_code_id, unit]));
+      const foreign = units.filter((unit) => !out.has(unit.serialNumberId)).map((unit) => unit.serialNumberId);
+      if (foreign.length > 0) {
+        throw validationFailed({ units: `are not out on this loan: ${foreign.join(', ')}` });
+      }
+      assertCanManageRooms(req.user, ...units.map((unit) => out.get(unit.serialNumberId).room_id));
+
+      // Check every unit before changing any, so one bad status names them all
+      const befores = [];
+      const problems = {};
+      for (const [i, { serialNumberId, status }] of units.entries()) {
+        const before = await tx.inventoryCodes.findById(serialNumberId);
+        const problem = statusChangeProblem(before.status, status);
+        if (problem) problems[`units[${i}].status`] = problem;
+        befores.push(before);
+      }
+      if (Object.keys(problems).length > 0) {
+        throw conflict('Some units cannot take the status they came back in', 'INVALID_STATUS_CHANGE', problems);
+      }
+
+      for (const [i, unit] of units.entries()) {
+        const before = befores[i];
+        if (before.status === unit.status) continue;
+        const after = await tx.inventoryCodes.update(before.id, {
+          kodeInventaris: before.kode_inventaris, spesifikasi: before.spesifikasi, status: unit.status
+        }, { changedBy: req.user.username, note: unit.note || note || `Returned from loan ${existing.id}` });
+        await tx.audit.record({
+          actor: req.user, entity: 'inventory_code', entityId: before.id, action: 'update', before, after
+        });
+      }
+
+      const updated = await tx.loans.returnUnits(existing.id, units.map((unit) => ({
+        codeId: unit.serialNumberId, status: unit.status, note: unit.note || note
+      })), req.user.username);
+      await tx.audit.record({
+        actor: req.user, entity: 'loan', entityId: existing.id, action: 'update', before: existing, after: updated
+      });
+      return updated;
+    });
+
+    res.json(loan);
+  });
+
+  return router;
+}
+
+module.exports = createLoansRouter;
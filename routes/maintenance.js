@@ -0,0 +1,162 @@
+const express = require('express');
+const { STATES, TRANSITIONS, SORTS } = require('../repositories/maintenance');
+const { statusChangeProblem } = require('../repositories/inventoryCodes');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { isUniqueViolation } = require('../db/errors');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, integer, boolean, date, oneOf, validate } = require('../http/validate');
+const { pageFields, sortFields, page } = require('../http/pagination');
+
+// Costs are whole rupiah
+const MAX_COST = 1000000000;
+
+// The unit status a ticket leaves behind when it moves to each state. A
+// reported unit keeps its damage status, or turns broken if it was good.
+const UNIT_STATUS = {
+  in_repair: 'under_repair',
+  repaired: 'good',
+  written_off: 'disposed'
+};
+
+const listQuery = object({
+  state: oneOf(STATES),
+  open: boolean(),
+  serialNumberId: string(),
+  itemId: string(),
+  roomId: string(),
+  technician: string(),
+  from: date(),
+  to: date(),
+  ...sortFields(SORTS, { sort: 'opened_at' }),
+  ...pageFields
+});
+
+const createTicketBody = object({
+  serialNumberId: string({ required: true }),
+  problem: string({ required: true, max: 2000 }),
+  technician: string({ max: 200 }),
+  note: string({ max: 2000 }),
+  cost: integer({ min: 0, max: MAX_COST })
+});
+
+// A step on the ticket: a new state, a technician's note, a cost, or any of
+// them together
+const entryBody = object({
+  state: oneOf(STATES),
+  note: string({ max: 2000 }),
+  cost: integer({ min: 0, max: MAX_COST }),
+  technician: string({ max: 200 })
+}, ({ state, note, cost, technician }) => (
+  state || note || cost !== undefined || technician ? null : { state: 'is required (or a note, cost or technician)' }
+));
+
+const ticketOpen = (ticket) => conflict(
+  `This unit already has an open maintenance ticket (${ticket ? ticket.id : 'opened at the same time'})`,
+  'TICKET_OPEN'
+);
+
+// 409 naming `field` unless the unit may go from status `from` to `to`
+const assertStatusChange = (from, to, field) => {
+  const problem = statusChangeProblem(from, to);
+  if (problem) throw conflict(`The unit's status ${problem}`, 'INVALID_STATUS_CHANGE', { [field]: problem });
+};
+
+// Sets the unit's status when the ticket changes it, with its own audit entry
+async function updateUnitStatus(tx, actor, ticket, status) {
+  const before = ticket.inventory_code_id && await tx.inventoryCodes.findById(ticket.inventory_code_id);
+  if (!before || before.status === status) return;
+  assertStatusChange(before.status, status, 'state');
+  const after = await tx.inventoryCodes.update(before.id, {
+    kodeInventaris: before.kode_inventaris, spesifikasi: before.spesifikasi, status
+  }, { changedBy: actor.username, note: `Maintenance ticket ${ticket.id}: ${ticket.state}` });
+  await tx.audit.record({ actor, entity: 'inventory_code', entityId: before.id, action: 'update', before, after });
+}
+
+function createMaintenanceRouter(repos) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+
+  // List tickets, a page at a time. ?open=true for what is still being
+  // worked on.
+  router.get('/maintenance', validate({ query: listQuery }), async (req, res) => {
+    const result = await repos.maintenance.list(req.query);
+    res.json(page(result, req.query));
+  });
+
+  // Get a ticket with every step it went through
+  router.get('/maintenance/:id', async (req, res) => {
+    const ticket = await repos.maintenance.findById(req.params.id);
+    if (!ticket) throw notFound('Maintenance ticket not found');
+    res.json(ticket);
+  });
+
+  // Report a problem with a unit. A good unit is marked broken; it goes
+  // under_repair with the ticket, and is good again once repaired.
+  router.post('/maintenance', canEdit, validate({ body: createTicketBody }), async (req, res) => {
+    const { serialNumberId, problem, technician, note, cost } = req.body;
+
+    try {
+      const ticket = await repos.transaction(async (tx) => {
+        const unit = await tx.inventoryCodes.findById(serialNumberId);
+        if (!unit) throw validationFailed({ serialNumberId: 'does not match a unit' });
+        assertCanManageRooms(req.user, unit.room_id);
+
+        if ((await tx.loans.outstandingUnits({ codeIds: [unit.id] })).length > 0) {
+          throw conflict('This unit is out on loan; take it back first', 'UNIT_ON_LOAN');
+        }
+        const [open] = await tx.maintenance.openTickets([unit.id]);
+        if (open) throw ticketOpen(open);
+        // Lost and disposed units are not there to repair
+        assertStatusChange(unit.status, 'under_repair', 'serialNumberId');
+
+        const created = await tx.maintenance.create({
+          unit, problem, technician, note, cost, reportedBy: req.user.username
+        });
+        await tx.audit.record({
+          actor: req.user, entity: 'maintenance', entityId: created.id, action: 'create', after: created
+        });
+        if (unit.status === 'good') await updateUnitStatus(tx, req.user, created, 'broken');
+        return tx.maintenance.findById(created.id);
+      });
+      res.status(201).json(ticket);
+    } catch (err) {
+      throw isUniqueViolation(err) ? ticketOpen() : err;
+    }
+  });
+
+  // Add a step to a ticket: move it on, note what the technician found or
+  // did, record a cost. The unit's status follows the ticket's state.
+  router.post('/maintenance/:id/entries', canEdit, validate({ body: entryBody }), async (req, res) => {
+    const { note, cost, technician } = req.body;
+
+    const ticket = await repos.transaction(async (tx) => {
+      const existing = await tx.maintenance.findById(req.params.id);
+      if (!existing) throw notFound('Maintenance ticket not found');
+      // Only admins can work on a ticket whose unit has been deleted
+      assertCanManageRooms(req.user, existing.room_id);
+      if (existing.closed_at) throw conflict(`This ticket is closed as ${existing.state}`, 'TICKET_CLOSED');
+
+      const state = req.body.state || existing.state;
+      if (state !== existing.state && !TRANSITIONS[existing.state].includes(state)) {
+        throw conflict(`A ticket that is ${existing.state} cannot move to ${state}`, 'INVALID_TRANSITION');
+      }
+
+      const updated = await tx.maintenance.addEntry(existing.id, {
+        state, note, cost, technician, author: req.user.username
+      });
+      await tx.audit.record({
+        actor: req.user, entity: 'maintenance', entityId: existing.id, action: 'update', before: existing, after: updated
+      });
+      if (state !== existing.state) {
+        await updateUnitStatus(tx, req.user, updated, UNIT_STATUS[state]);
+      }
+      return tx.maintenance.findById(existing.id);
+    });
+
+    res.json(ticket);
+  });
+
+  return router;
+}
+
+module.exports = createMaintenanceRouter;
@@ -0,0 +1,166 @@
+const express = require('express');
+const { isUniqueViolation } = require('../db/errors');
+const { requireRole } = require('../auth/middleware');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, boolean, validate } = require('../http/validate');
+
+const roomFields = (required) => ({
+  name: string({ required, allowBlank: false, max: 100 }),
+  code: string({ max: 20, match: /^[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/ }),
+  description: string({ max: 2000 }),
+  hidden: boolean(),
+  replacesDefault: string({ max: 100 }),
+  icon: string({ max: 100 })
+});
+
+const createRoomBody = object(roomFields(true));
+
+// Fields left out keep their current value
+const updateRoomBody = object(roomFields(false));
+
+const deleteRoomQuery = object({
+  moveTo: string(),
+  cascade: boolean({ default: false })
+}, ({ moveTo, cascade }) => (
+  moveTo && cascade ? { cascade: 'cannot be combined with moveTo' } : null
+));
+
+const DUPLICATE_NAME = () => conflict('A room with this name already exists', 'DUPLICATE_NAME');
+
+// Anyone logged in can list rooms; only admins manage them
+function createRoomsRouter(repos) {
+  const router = express.Router();
+  const adminOnly = requireRole('admin');
+
+  // Get all rooms
+  router.get('/rooms', async (req, res) => {
+    const rooms = await repos.rooms.list();
+    res.json(rooms);
+  });
+
+  // Initialize default rooms
+  router.post('/rooms/init-defaults', adminOnly, async (req, res) => {
+    await repos.transaction(async (tx) => {
+      for (const room of await tx.rooms.initializeDefaults()) {
+        await tx.audit.record({ actor: req.user, entity: 'room', entityId: room.id, action: 'create', after: room });
+      }
+    });
+    const rooms = await repos.rooms.list();
+    res.json({ message: 'Default rooms initialized', rooms });
+  });
+
+  // Create a new room
+  router.post('/rooms', adminOnly, validate({ body: createRoomBody }), async (req, res) => {
+    try {
+      const newRoom = await repos.transaction(async (tx) => {
+        const room = await tx.rooms.create(req.body);
+        await tx.audit.record({ actor: req.user, entity: 'room', entityId: room.id, action: 'create', after: room });
+        return room;
+      });
+      res.status(201).json(newRoom);
+    } catch (err) {
+      throw isUniqueViolation(err) ? DUPLICATE_NAME() : err;
+    }
+  });
+
+  // Update a room. Items reference the room by id, so renaming keeps them.
+  router.put('/rooms/:id', adminOnly, validate({ body: updateRoomBody }), async (req, res) => {
+    const { name, code, description, hidden, replacesDefault, icon } = req.body;
+
+    try {
+      const updatedRoom = await repos.transaction(async (tx) => {
+        const room = await tx.rooms.findById(req.params.id);
+        if (!room) throw notFound('Room not found');
+
+        const updated = await tx.rooms.update(room.id, {
+          name: name ?? room.name,
+          code: code ?? room.code,
+          description: description ?? room.description,
+          hidden: hidden ?? room.hidden,
+          replacesDefault: replacesDefault ?? room.replaces_default,
+          icon: icon ?? room.icon
+        });
+        await tx.audit.record({
+          actor: req.user, entity: 'room', entityId: room.id, action: 'update', before: room, after: updated
+        });
+        return updated;
+      });
+      res.json(updatedRoom);
+    } catch (err) {
+      throw isUniqueViolation(err) ? DUPLICATE_NAME() : err;
+    }
+  });
+
+  // Delete a room, moving it to the trash. A room that still has items is
+  // only deleted when the caller says what happens to them:
+  //   ?moveTo=<roomId>  move the items to another room first
+  //   ?cascade=true     delete the items (and their inventory codes) too;
+  //                     restoring the room brings them back
+  router.delete('/rooms/:id', adminOnly, validate({ query: deleteRoomQuery }), async (req, res) => {
+    const { moveTo, cascade } = req.query;
+
+    if (moveTo === req.params.id) {
+      throw validationFailed({ moveTo: 'cannot be the room being deleted' });
+    }
+
+    const result = await repos.transaction(async (tx) => {
+      // Get the room first
+      const room = await tx.rooms.findById(req.params.id);
+      if (!room) throw notFound('Room not found');
+
+      const itemCount = await tx.items.countByRoom(room.id);
+      let movedItems = 0;
+      let deletedItems = 0;
+      // Lent units stay where they were lent from until they come back, so
+      // they can go neither to another room nor to the trash
+      const assertNoneLent = async () => {
+        const lent = await tx.loans.outstandingUnits({ roomId: room.id });
+        if (lent.length > 0) {
+          throw conflict(`${lent.length} unit(s) in this room are out on loan; take them back first`, 'UNIT_ON_LOAN');
+        }
+      };
+
+      if (itemCount > 0) {
+        if (moveTo) {
+          const target = await tx.rooms.findById(moveTo);
+          if (!target) throw validationFailed({ moveTo: 'does not match a room' });
+          await assertNoneLent();
+          for (const item of await tx.items.listByRoom(room.id)) {
+            const { transfer, changes } = await tx.transfers.moveUnits({
+              item, toRoomId: target.id, note: `Room ${room.name} deleted`
+            });
+            await tx.audit.record({
+              actor: req.user, entity: 'transfer', entityId: transfer.id, action: 'create', after: transfer
+            });
+            for (const change of changes) await tx.audit.record({ actor: req.user, ...change });
+          }
+          movedItems = itemCount;
+        } else if (cascade) {
+          await assertNoneLent();
+          for (const item of await tx.items.listByRoom(room.id)) {
+            const units = await tx.inventoryCodes.listByItem(item.id);
+            await tx.audit.record({
+              actor: req.user, entity: 'item', entityId: item.id, action: 'delete', before: { ...item, units }
+            });
+          }
+          deletedItems = itemCount;
+        } else {
+          throw conflict(
+            `Room still has ${itemCount} item(s); pass moveTo=<roomId> or cascade=true`,
+            'ROOM_NOT_EMPTY'
+          );
+        }
+      }
+
+      await tx.trash.removeRoom(room.id, req.user.username);
+      await tx.audit.record({ actor: req.user, entity: 'room', entityId: room.id, action: 'delete', before: room });
+      return { deletedRoom: room, movedItems, deletedItems };
+    });
+
+    res.json({ message: 'Room moved to the trash', ...result });
+  });
+
+  return router;
+}
+
+module.exports = createRoomsRouter;
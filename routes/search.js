@@ -0,0 +1,24 @@
+const express = require('express');
+const { object, string, integer, validate } = require('../http/validate');
+
+const searchQuery = object({
+  q: string({ required: true, min: 2, max: 200 }),
+  roomId: string(),
+  limit: integer({ min: 1, max: 100, default: 20 })
+});
+
+function createSearchRouter(repos) {
+  const router = express.Router();
+
+  // Search item names and information, inventory codes and specs. Every
+  // word of `q` must match; `limit` applies to items and units separately.
+  router.get('/search', validate({ query: searchQuery }), async (req, res) => {
+    const { q, roomId, limit } = req.query;
+    const hits = await repos.search.search(q, { roomId, limit });
+    res.json({ query: q, ...hits });
+  });
+
+  return router;
+}
+
+module.exports = createSearchRouter;
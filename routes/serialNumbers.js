@@ -0,0 +1,352 @@
+const express = require('express');
+const { STATUSES, SORTS, statusChangeProblem } = require('../repositories/inventoryCodes');
+const { patternProblem } = require('../repositories/codeSequences');
+const { checkAttributes } = require('../repositories/categories');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { isUniqueViolation } = require('../db/errors');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, integer, date, oneOf, array, validate } = require('../http/validate');
+const { pageFields, sortFields, page } = require('../http/pagination');
+const { attributeValues, attributeFilters } = require('../http/attributes');
+
+const listQuery = object({
+  itemId: string(),
+  roomId: string(),
+  location: string(),
+  status: oneOf(STATUSES),
+  name: string(),
+  from: date(),
+  to: date(),
+  warrantyWithinDays: integer({ min: 0, max: 3650 }),
+  categoryId: string(),
+  attributes: attributeFilters,
+  ...sortFields(SORTS, { sort: 'date_added' }),
+  ...pageFields
+});
+
+// Prices are whole rupiah
+const MAX_PRICE = 2000000000;
+
+// Where a unit came from and what it cost; on update null clears a field
+const procurementFields = {
+  purchaseDate: date({ nullable: true }),
+  purchasePrice: integer({ min: 0, max: MAX_PRICE, nullable: true }),
+  fundingSource: string({ max: 200, nullable: true }),
+  vendor: string({ max: 200, nullable: true }),
+  warrantyUntil: date({ nullable: true })
+};
+
+// The column each procurement field is stored in
+const PROCUREMENT_COLUMNS = {
+  purchaseDate: 'purchase_date',
+  purchasePrice: 'purchase_price',
+  fundingSource: 'funding_source',
+  vendor: 'vendor',
+  warrantyUntil: 'warranty_until'
+};
+
+// The procurement fields given in `body`, over those `unit` already has
+const mergeProcurement = (body, unit = {}) => Object.fromEntries(
+  Object.entries(PROCUREMENT_COLUMNS).map(([key, column]) => [key, body[key] === undefined ? unit[column] : body[key]])
+);
+
+const createSerialBody = object({
+  itemId: string({ required: true }),
+  serialNumber: string({ max: 100 }),
+  specs: string({ max: 2000 }),
+  status: oneOf(STATUSES, { default: 'good' }),
+  dateAdded: date(),
+  attributes: attributeValues,
+  ...procurementFields
+});
+
+// Most units one bulk request may add
+const MAX_BULK = 500;
+
+// Units to add to one item: a list of codes, or a count whose codes are
+// generated (from KODE_PATTERN, or `pattern`) or counted up from `startCode`
+const bulkCreateBody = object({
+  serialNumbers: array(string({ required: true, max: 100 }), { min: 1, max: MAX_BULK }),
+  count: integer({ min: 1, max: MAX_BULK }),
+  startCode: string({ max: 100, match: /\d$/ }),
+  pattern: string({ max: 100 }),
+  specs: string({ max: 2000 }),
+  status: oneOf(STATUSES, { default: 'good' }),
+  dateAdded: date(),
+  attributes: attributeValues,
+  ...procurementFields
+}, ({ serialNumbers, count, startCode, pattern }) => {
+  if (serialNumbers) {
+    if (count || startCode || pattern) return { serialNumbers: 'cannot be combined with count, startCode or pattern' };
+    return null;
+  }
+  if (!count) return { serialNumbers: 'is required (or a count)' };
+  if (startCode && pattern) return { pattern: 'cannot be combined with startCode' };
+  if (pattern && patternProblem(pattern)) return { pattern: patternProblem(pattern) };
+  return null;
+});
+
+// "PC-098" and 4 -> PC-098, PC-099, PC-100, PC-101
+const codeRange = (startCode, count) => {
+  const [, prefix, digits] = startCode.match(/^(.*?)(\d+)$/);
+  const first = parseInt(digits, 10);
+  return Array.from({ length: count }, (_, i) => `${prefix}${String(first + i).padStart(digits.length, '0')}`);
+};
+
+// Fields left out keep their current value; a code can change but not be
+// cleared. `note` says why the status changed, for the status history.
+const updateSerialBody = object({
+  serialNumber: string({ max: 100, allowBlank: false }),
+  specs: string({ max: 2000 }),
+  status: oneOf(STATUSES),
+  note: string({ max: 1000 }),
+  attributes: attributeValues,
+  ...procurementFields
+});
+
+const statusHistoryQuery = object({
+  from: date(),
+  to: date()
+});
+
+// 409 unless a unit may go from status `from` to `to`
+const assertStatusChange = (from, to) => {
+  const problem = statusChangeProblem(from, to);
+  if (problem) throw conflict(`Status ${problem}`, 'INVALID_STATUS_CHANGE', { status: problem });
+};
+
+const duplicateCode = (code) => conflict(
+  code ? `Inventory code ${code} is already in use` : 'Inventory code is already in use',
+  'DUPLICATE_CODE'
+);
+
+// Throws 409 when a unit other than `ownId` already has `code`, including
+// a unit in the trash
+async function assertCodeFree(inventoryCodes, code, ownId) {
+  const holder = await inventoryCodes.findByCode(code);
+  if (holder ? holder.id !== ownId : (await inventoryCodes.findTakenCodes([code])).length > 0) {
+    throw duplicateCode(code);
+  }
+}
+
+// 409 for a consumable, whose stock is counted rather than kept as units
+const assertTrackedByUnit = (item) => {
+  if (item.tracking === 'quantity') {
+    throw conflict(`${item.name} is counted by quantity and has no serial numbers`, 'QUANTITY_TRACKED');
+  }
+};
+
+// `values` checked against the category of `item` (a unit's item, or a
+// unit itself), or 400 naming each attribute that does not fit
+async function checkedAttributes(categories, item, values, options) {
+  const category = item.category_id ? await categories.findById(item.category_id) : null;
+  const { values: checked, errors } = checkAttributes(category, values, options);
+  if (Object.keys(errors).length > 0) throw validationFailed(errors);
+  return checked;
+}
+
+// Throws 409 listing every row of `codes` that repeats an earlier row or is
+// already in use
+async function assertCodesFree(inventoryCodes, codes) {
+  const taken = new Set(await inventoryCodes.findTakenCodes(codes));
+  const seen = new Map();
+  const fields = {};
+  codes.forEach((code, i) => {
+    if (taken.has(code)) {
+      fields[`serialNumbers[${i}]`] = `${code} is already in use`;
+    } else if (seen.has(code)) {
+      fields[`serialNumbers[${i}]`] = `${code} repeats serialNumbers[${seen.get(code)}]`;
+    } else {
+      seen.set(code, i);
+    }
+  });
+  const conflicts = Object.keys(fields).length;
+  if (conflicts > 0) {
+    throw conflict(`${conflicts} of ${codes.length} inventory codes conflict; nothing was added`, 'DUPLICATE_CODE', fields);
+  }
+}
+
+function createSerialNumbersRouter(repos) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+
+  // List serial numbers, a page at a time
+  router.get('/serial-numbers', validate({ query: listQuery }), async (req, res) => {
+    const result = await repos.inventoryCodes.list(req.query);
+    res.json(page(result, req.query));
+  });
+
+  // Get serial number by id
+  router.get('/serial-numbers/:id', async (req, res) => {
+    const serialNumber = await repos.inventoryCodes.findById(req.params.id);
+    if (!serialNumber) throw notFound('Serial number not found');
+    res.json(serialNumber);
+  });
+
+  // Add serial number. Without a serialNumber the next code from
+  // KODE_PATTERN is generated for the item's room. `attributes` are checked
+  // against the item's category, which may require some.
+  router.post('/serial-numbers', canEdit, validate({ body: createSerialBody }), async (req, res) => {
+    const { itemId, serialNumber, specs, status, dateAdded } = req.body;
+
+    try {
+      const newSerialNumber = await repos.transaction(async (tx) => {
+        const item = await tx.items.findById(itemId);
+        if (!item) throw notFound('Item not found');
+        assertCanManageRooms(req.user, item.room_id);
+        assertTrackedByUnit(item);
+        const attributes = await checkedAttributes(tx.categories, item, req.body.attributes, { complete: true });
+
+        let kodeInventaris = serialNumber;
+        if (kodeInventaris) {
+          await assertCodeFree(tx.inventoryCodes, kodeInventaris);
+        } else {
+          kodeInventaris = await tx.codeSequences.next(await tx.rooms.findById(item.room_id), dateAdded);
+        }
+
+        let created = await tx.inventoryCodes.create({
+          itemId,
+          kodeInventaris,
+          spesifikasi: specs,
+          status,
+          dateAdded,
+          changedBy: req.user.username,
+          procurement: mergeProcurement(req.body)
+        });
+        created = await tx.inventoryCodes.setAttributes(created.id, attributes);
+        await tx.audit.record({
+          actor: req.user, entity: 'inventory_code', entityId: created.id, action: 'create', after: created
+        });
+        return created;
+      });
+      res.status(201).json({ ...newSerialNumber, success: true, message: 'Serial number created successfully' });
+    } catch (err) {
+      // Another request took the code between the check and the insert
+      throw isUniqueViolation(err) ? duplicateCode(serialNumber) : err;
+    }
+  });
+
+  // Add many units to an item in one transaction. Either all of them are
+  // added or, when any code conflicts, none are and every conflict is listed.
+  router.post('/items/:itemId/serial-numbers', canEdit, validate({ body: bulkCreateBody }), async (req, res) => {
+    const { serialNumbers, count, startCode, pattern, specs, status, dateAdded } = req.body;
+
+    try {
+      const created = await repos.transaction(async (tx) => {
+        const item = await tx.items.findById(req.params.itemId);
+        if (!item) throw notFound('Item not found');
+        assertCanManageRooms(req.user, item.room_id);
+        assertTrackedByUnit(item);
+        const attributes = await checkedAttributes(tx.categories, item, req.body.attributes, { complete: true });
+
+        let codes = serialNumbers || (startCode && codeRange(startCode, count));
+        if (codes) {
+          await assertCodesFree(tx.inventoryCodes, codes);
+        } else {
+          const room = await tx.rooms.findById(item.room_id);
+          codes = [];
+          while (codes.length < count) {
+            codes.push(await tx.codeSequences.next(room, dateAdded, pattern));
+          }
+        }
+
+        const units = [];
+        for (const kodeInventaris of codes) {
+          let unit = await tx.inventoryCodes.create({
+            itemId: item.id,
+            kodeInventaris,
+            spesifikasi: specs,
+            status,
+            dateAdded,
+            changedBy: req.user.username,
+            procurement: mergeProcurement(req.body)
+          });
+          unit = await tx.inventoryCodes.setAttributes(unit.id, attributes);
+          await tx.audit.record({
+            actor: req.user, entity: 'inventory_code', entityId: unit.id, action: 'create', after: unit
+          });
+          units.push(unit);
+        }
+        return units;
+      });
+      res.status(201).json({ created: created.length, serialNumbers: created });
+    } catch (err) {
+      throw isUniqueViolation(err) ? duplicateCode() : err;
+    }
+  });
+
+  // Update serial number. `attributes` sets only the values it names; null
+  // clears one.
+  router.put('/serial-numbers/:id', canEdit, validate({ body: updateSerialBody }), async (req, res) => {
+    const { serialNumber, specs, status, note } = req.body;
+
+    try {
+      const updatedSerialNumber = await repos.transaction(async (tx) => {
+        const existing = await tx.inventoryCodes.findById(req.params.id);
+        if (!existing) throw notFound('Serial number not found');
+        assertCanManageRooms(req.user, existing.room_id);
+        if (serialNumber) await assertCodeFree(tx.inventoryCodes, serialNumber, existing.id);
+        if (status) assertStatusChange(existing.status, status);
+        // A lent unit's status changes when it comes back (see routes/loans.js)
+        if (status && status !== existing.status
+          && (await tx.loans.outstandingUnits({ codeIds: [existing.id] })).length > 0) {
+          throw conflict('This unit is out on loan; take it back first', 'UNIT_ON_LOAN');
+        }
+        const attributes = req.body.attributes && await checkedAttributes(tx.categories, existing, req.body.attributes);
+
+        let updated = await tx.inventoryCodes.update(existing.id, {
+          kodeInventaris: serialNumber ?? existing.kode_inventaris,
+          spesifikasi: specs ?? existing.spesifikasi,
+          status: status ?? existing.status
+        }, { changedBy: req.user.username, note });
+        if (Object.keys(PROCUREMENT_COLUMNS).some((key) => req.body[key] !== undefined)) {
+          updated = await tx.inventoryCodes.setProcurement(existing.id, mergeProcurement(req.body, existing));
+        }
+        if (attributes) updated = await tx.inventoryCodes.setAttributes(existing.id, attributes);
+        await tx.audit.record({
+          actor: req.user,
+          entity: 'inventory_code',
+          entityId: existing.id,
+          action: 'update',
+          before: existing,
+          after: updated
+        });
+        return updated;
+      });
+      res.json(updatedSerialNumber);
+    } catch (err) {
+      throw isUniqueViolation(err) ? duplicateCode(serialNumber) : err;
+    }
+  });
+
+  // A unit's status changes, oldest first (?from=...&to=... for a period).
+  // The first entry is the status it was added with.
+  router.get('/serial-numbers/:id/status-history', validate({ query: statusHistoryQuery }), async (req, res) => {
+    const serialNumber = await repos.inventoryCodes.findById(req.params.id);
+    if (!serialNumber) throw notFound('Serial number not found');
+    res.json(await repos.inventoryCodes.statusHistory(serialNumber.id, req.query));
+  });
+
+  // Delete serial number (it goes to the trash, see routes/trash.js)
+  router.delete('/serial-numbers/:id', canEdit, async (req, res) => {
+    await repos.transaction(async (tx) => {
+      const existing = await tx.inventoryCodes.findById(req.params.id);
+      if (!existing) throw notFound('Serial number not found');
+      assertCanManageRooms(req.user, existing.room_id);
+
+      if ((await tx.loans.outstandingUnits({ codeIds: [existing.id] })).length > 0) {
+        throw conflict('This unit is out on loan; take it back first', 'UNIT_ON_LOAN');
+      }
+      await tx.trash.removeUnit(existing.id, req.user.username);
+      await tx.audit.record({
+        actor: req.user, entity: 'inventory_code', entityId: existing.id, action: 'delete', before: existing
+      });
+    });
+
+    res.json({ message: 'Serial number moved to the trash' });
+  });
+
+  return router;
+}
+
+module.exports = createSerialNumbersRouter;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { object, string, integer, date, validate } = require('../http/validate');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../http/pagination');
+
+const statsQuery = object({
+  roomId: string(),
+  months: integer({ min: 1, max: 120, default: 12 }),
+  itemLimit: integer({ min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT })
+});
+
+const assetValueQuery = object({
+  roomId: string(),
+  at: date()
+});
+
+function createStatsRouter(repos) {
+  const router = express.Router();
+
+  // Everything the dashboard shows, in one request. ?roomId= narrows it to
+  // one room; ?months= sets how far back addedPerMonth goes and ?itemLimit=
+  // how many items byItem lists (those with the most units first).
+  router.get('/stats', validate({ query: statsQuery }), async (req, res) => {
+    res.json(await repos.stats.dashboard(req.query));
+  });
+
+  // Purchase and book value of the units per room, with totals. ?at= gives
+  // the book value on another day than today; ?roomId= narrows it to one
+  // room.
+  router.get('/stats/asset-value', validate({ query: assetValueQuery }), async (req, res) => {
+    const { roomId, at } = req.query;
+    res.json(await repos.stats.assetValues({ roomId, at: at ? new Date(at) : undefined }));
+  });
+
+  return router;
+}
+
+module.exports = createStatsRouter;
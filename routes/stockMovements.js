@@ -0,0 +1,102 @@
+const express = require('express');
+const { MOVEMENT_TYPES, MAX_STOCK } = require('../repositories/stockMovements');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { notFound, conflict } = require('../http/errors');
+const { object, string, integer, date, oneOf, validate } = require('../http/validate');
+const { pageFields, page } = require('../http/pagination');
+
+const listQuery = object({
+  itemId: string(),
+  roomId: string(),
+  type: oneOf(MOVEMENT_TYPES),
+  from: date(),
+  to: date(),
+  ...pageFields
+});
+
+const itemListQuery = object({
+  type: oneOf(MOVEMENT_TYPES),
+  from: date(),
+  to: date(),
+  ...pageFields
+});
+
+// `quantity` is how many go in or out, or for an adjust how many were
+// counted
+const movementBody = object({
+  type: oneOf(MOVEMENT_TYPES, { required: true }),
+  quantity: integer({ required: true, min: 0, max: MAX_STOCK }),
+  note: string({ max: 1000 })
+}, ({ type, quantity }) => (
+  type !== 'adjust' && quantity === 0 ? { quantity: 'must be at least 1' } : null
+));
+
+const lowStockQuery = object({
+  roomId: string(),
+  categoryId: string(),
+  ...pageFields
+});
+
+// The item, or 404
+async function findItem(items, id) {
+  const item = await items.findById(id);
+  if (!item) throw notFound('Item not found');
+  return item;
+}
+
+// Stock of consumables: movements in and out of an item's stock, the
+// ledger of them, and what is running low
+function createStockMovementsRouter(repos) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+
+  // Every movement, newest first
+  router.get('/stock-movements', validate({ query: listQuery }), async (req, res) => {
+    const result = await repos.stockMovements.list(req.query);
+    res.json(page(result, req.query));
+  });
+
+  router.get('/items/:id/stock-movements', validate({ query: itemListQuery }), async (req, res) => {
+    const item = await findItem(repos.items, req.params.id);
+    const result = await repos.stockMovements.list({ ...req.query, itemId: item.id });
+    res.json(page(result, req.query));
+  });
+
+  // Take stock in or out of a consumable, or set it to what was counted.
+  // An out larger than the stock is refused.
+  router.post('/items/:id/stock-movements', canEdit, validate({ body: movementBody }), async (req, res) => {
+    const { type, quantity, note } = req.body;
+
+    const movement = await repos.transaction(async (tx) => {
+      const item = await findItem(tx.items, req.params.id);
+      assertCanManageRooms(req.user, item.room_id);
+      if (item.tracking !== 'quantity') {
+        throw conflict(`${item.name} is tracked by unit; add or remove its serial numbers instead`, 'UNIT_TRACKED');
+      }
+
+      const created = await tx.stockMovements.record(item, { type, quantity, note, movedBy: req.user.username });
+      if (!created) {
+        throw conflict(`Only ${item.quantity} of ${item.name} in stock`, 'INSUFFICIENT_STOCK', {
+          quantity: `must be at most ${item.quantity}`
+        });
+      }
+      await tx.audit.record({
+        actor: req.user, entity: 'item', entityId: item.id, action: 'update',
+        before: item, after: await tx.items.findById(item.id)
+      });
+      return created;
+    });
+
+    res.status(201).json(movement);
+  });
+
+  // Consumables at or below their minimum stock, by room
+  router.get('/low-stock', validate({ query: lowStockQuery }), async (req, res) => {
+    const result = await repos.items.listLowStock(req.query);
+    res.json(page(result, req.query));
+  });
+
+  return router;
+}
+
+module.exports = createStockMovementsRouter;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { STATES, OBSERVED_STATUSES } = require('../repositories/stockTakes');
+const { statusChangeProblem } = require('../repositories/inventoryCodes');
+const { requireRole, canManageRoom, assertCanManageRooms } = require('../auth/middleware');
+const { notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, boolean, oneOf, array, validate } = require('../http/validate');
+const { pageFields, page } = require('../http/pagination');
+
+// Most rooms one session may cover
+const MAX_ROOMS = 50;
+
+const listQuery = object({
+  state: oneOf(STATES),
+  roomId: string(),
+  ...pageFields
+});
+
+const createBody = object({
+  name: string({ required: true, max: 200 }),
+  roomIds: array(string({ required: true }), { required: true, min: 1, max: MAX_ROOMS, unique: true }),
+  note: string({ max: 1000 })
+});
+
+// roomId may be left out when the session covers a single room
+const scanBody = object({
+  code: string({ required: true, max: 100 }),
+  roomId: string(),
+  status: oneOf(OBSERVED_STATUSES, { default: 'good' }),
+  note: string({ max: 1000 })
+});
+
+const closeBody = object({
+  apply: boolean({ default: false })
+});
+
+const closedSession = (stockTake) => conflict(`This stock take was closed by ${stockTake.closed_by}`, 'STOCK_TAKE_CLOSED');
+
+// The session, or 404
+async function findStockTake(stockTakes, id) {
+  const stockTake = await stockTakes.findById(id);
+  if (!stockTake) throw notFound('Stock take not found');
+  return stockTake;
+}
+
+// Applies a reconciliation: missing units become lost, units seen in another
+// room move there, and units seen in a different condition take it on. A
+// change the unit's status does not allow, one to a unit in a room the
+// user does not manage, or a move of a lent unit is skipped and listed
+// instead.
+async function applyResult(tx, user, stockTake, report) {
+  const applied = { markedLost: 0, moved: 0, statusChanged: 0, skipped: [] };
+  const note = `Stock take ${stockTake.name}`;
+  const skip = (kodeInventaris, change, reason) => applied.skipped.push({ kode_inventaris: kodeInventaris, change, reason });
+
+  const setStatus = async (unitId, status, reason) => {
+    const before = await tx.inventoryCodes.findById(unitId);
+    if (!before || before.status === status) return false;
+    if (!canManageRoom(user, before.room_id)) {
+      skip(before.kode_inventaris, reason, `it is in ${before.location}, which you do not manage`);
+      return false;
+    }
+    const problem = statusChangeProblem(before.status, status);
+    if (problem) {
+      skip(before.kode_inventaris, reason, problem);
+      return false;
+    }
+    const after = await tx.inventoryCodes.update(before.id, {
+      kodeInventaris: before.kode_inventaris, spesifikasi: before.spesifikasi, status
+    }, { changedBy: user.username, note });
+    await tx.audit.record({ actor: user, entity: 'inventory_code', entityId: before.id, action: 'update', before, after });
+    return true;
+  };
+
+  for (const unit of report.missing) {
+    if (await setStatus(unit.id, 'lost', 'missing')) applied.markedLost += 1;
+  }
+
+  // One transfer per item and room the units were found in. Lent units stay
+  // where they were lent from until they come back.
+  const lent = new Set((await tx.loans.outstandingUnits({
+    codeIds: report.wrongRoom.map((scan) => scan.unit_id)
+  })).map((unit) => unit.inventory_code_id));
+  const moves = new Map();
+  for (const scan of report.wrongRoom) {
+    const room = scan.room_id && await tx.rooms.findById(scan.room_id);
+    if (!room) {
+      skip(scan.kode_inventaris, 'wrong_room', 'the room it was seen in is gone');
+      continue;
+    }
+    if (!canManageRoom(user, scan.unit_room_id)) {
+      skip(scan.kode_inventaris, 'wrong_room', `it is in ${scan.unit_location}, which you do not manage`);
+      continue;
+    }
+    if (lent.has(scan.unit_id)) {
+      skip(scan.kode_inventaris, 'wrong_room', 'it is out on loan');
+      continue;
+    }
+    const key = `${scan.item_id} ${room.id}`;
+    if (!moves.has(key)) moves.set(key, { itemId: scan.item_id, room, codeIds: [] });
+    moves.get(key).codeIds.push(scan.unit_id);
+  }
+  for (const { itemId, room, codeIds } of moves.values()) {
+    const item = await tx.items.findById(itemId);
+    const { transfer, changes } = await tx.transfers.moveUnits({
+      item, toRoomId: room.id, codeIds, note: `Found in ${room.name} during stock take ${stockTake.name}`
+    });
+    await tx.audit.record({ actor: user, entity: 'transfer', entityId: transfer.id, action: 'create', after: transfer });
+    for (const change of changes) await tx.audit.record({ actor: user, ...change });
+    applied.moved += codeIds.length;
+  }
+
+  for (const scan of report.conditionChanged) {
+    if (await setStatus(scan.unit_id, scan.observed_status, 'condition')) applied.statusChanged += 1;
+  }
+  return applied;
+}
+
+function createStockTakesRouter(repos) {
+  const router = express.Router();
+  const canEdit = requireRole('admin', 'laboran');
+
+  // List sessions, newest first
+  router.get('/stock-takes', validate({ query: listQuery }), async (req, res) => {
+    const result = await repos.stockTakes.list(req.query);
+    res.json(page(result, req.query));
+  });
+
+  // Open a session for one or more rooms. A room can only be in one open
+  // session at a time.
+  router.post('/stock-takes', canEdit, validate({ body: createBody }), async (req, res) => {
+    const { name, roomIds, note } = req.body;
+    assertCanManageRooms(req.user, ...roomIds);
+
+    const stockTake = await repos.transaction(async (tx) => {
+      const rooms = [];
+      const fields = {};
+      for (const [index, roomId] of roomIds.entries()) {
+        const room = await tx.rooms.findById(roomId);
+        if (room) rooms.push(room);
+        else fields[`roomIds[${index}]`] = 'does not match a room';
+      }
+      if (Object.keys(fields).length > 0) throw validationFailed(fields);
+
+      const busy = await tx.stockTakes.openInRooms(roomIds);
+      if (busy.length > 0) {
+        throw conflict(
+          `${busy.map((row) => row.room_name).join(', ')} already in open stock take ${busy[0].name}`,
+          'ROOM_IN_STOCK_TAKE'
+        );
+      }
+
+      const created = await tx.stockTakes.create({ name, note, rooms, openedBy: req.user.username });
+      await tx.audit.record({
+        actor: req.user, entity: 'stock_take', entityId: created.id, action: 'create', after: created
+      });
+      return created;
+    });
+
+    res.status(201).json(stockTake);
+  });
+
+  // Get a session with its rooms; a closed one has the reconciliation as it
+  // was at closing under `result`
+  router.get('/stock-takes/:id', async (req, res) => {
+    res.json(await findStockTake(repos.stockTakes, req.params.id));
+  });
+
+  // The codes seen so far, newest first
+  router.get('/stock-takes/:id/scans', validate({ query: object(pageFields) }), async (req, res) => {
+    const stockTake = await findStockTake(repos.stockTakes, req.params.id);
+    const result = await repos.stockTakes.scans(stockTake.id, req.query);
+    res.json(page(result, req.query));
+  });
+
+  // Record a code as seen in one of the session's rooms, in the condition it
+  // was seen in. The answer says whether the unit is where the inventory
+  // has it (found), on record in another room (wrong_room), or unknown.
+  router.post('/stock-takes/:id/scans', canEdit, validate({ body: scanBody }), async (req, res) => {
+    const { code, status, note } = req.body;
+
+    const result = await repos.transaction(async (tx) => {
+      const stockTake = await findStockTake(tx.stockTakes, req.params.id);
+      if (stockTake.state !== 'open') throw closedSession(stockTake);
+
+      const roomId = req.body.roomId || (stockTake.rooms.length === 1 ? stockTake.rooms[0].id : undefined);
+      if (!roomId) throw validationFailed({ roomId: 'is required when the stock take covers several rooms' });
+      const room = stockTake.rooms.find((candidate) => candidate.id === roomId);
+      if (!room) throw validationFailed({ roomId: 'is not one of the rooms in this stock take' });
+      assertCanManageRooms(req.user, room.id);
+
+      return tx.stockTakes.recordScan(stockTake.id, { code, room, status, note, scannedBy: req.user.username });
+    });
+
+    res.status(result.rescanned ? 200 : 201).json(result.scan);
+  });
+
+  // Take back a scan made by mistake
+  router.delete('/stock-takes/:id/scans/:scanId', canEdit, async (req, res) => {
+    await repos.transaction(async (tx) => {
+      const stockTake = await findStockTake(tx.stockTakes, req.params.id);
+      if (stockTake.state !== 'open') throw closedSession(stockTake);
+      const scan = await tx.stockTakes.findScan(stockTake.id, req.params.scanId);
+      if (!scan) throw notFound('Scan not found');
+      assertCanManageRooms(req.user, scan.room_id);
+      await tx.stockTakes.removeScan(stockTake.id, scan.id);
+    });
+
+    res.json({ message: 'Scan removed' });
+  });
+
+  // Reconciliation: missing units, units found in the wrong room, unknown
+  // codes and changed conditions. Worked out afresh while the session is
+  // open; a closed session answers with the one it was closed with.
+  router.get('/stock-takes/:id/report', async (req, res) => {
+    const stockTake = await findStockTake(repos.stockTakes, req.params.id);
+    if (stockTake.result) {
+      res.json({ stockTake: { ...stockTake, result: undefined }, ...stockTake.result });
+      return;
+    }
+    res.json({ stockTake, ...(await repos.stockTakes.reconcile(stockTake)), applied: null });
+  });
+
+  // Close the session. With apply=true the results are written back: missing
+  // units become lost, units seen elsewhere move to that room, and units
+  // take on the condition they were seen in.
+  router.post('/stock-takes/:id/close', canEdit, validate({ body: closeBody }), async (req, res) => {
+    const stockTake = await repos.transaction(async (tx) => {
+      const existing = await findStockTake(tx.stockTakes, req.params.id);
+      if (existing.state !== 'open') throw closedSession(existing);
+      assertCanManageRooms(req.user, ...existing.rooms.map((room) => room.id));
+
+      const report = await tx.stockTakes.reconcile(existing);
+      const applied = req.body.apply ? await applyResult(tx, req.user, existing, report) : null;
+      const closed = await tx.stockTakes.close(existing.id, {
+        closedBy: req.user.username, applied: Boolean(applied), result: { ...report, applied }
+      });
+      await tx.audit.record({
+        actor: req.user, entity: 'stock_take', entityId: existing.id, action: 'update',
+        before: existing, after: { ...closed, result: { summary: report.summary, applied } }
+      });
+      return closed;
+    });
+
+    res.json(stockTake);
+  });
+
+  return router;
+}
+
+module.exports = createStockTakesRouter;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { badRequest, conflict, notFound, validationFailed } = require('../http/errors');
+const { object, string, date, array, validate } = require('../http/validate');
+
+const transferBody = object({
+  itemId: string({ required: true }),
+  toRoomId: string(),
+  toLocation: string(),
+  serialNumberIds: array(string({ required: true }), { min: 1, unique: true }),
+  note: string({ max: 1000 })
+}, ({ toRoomId, toLocation }) => (
+  toRoomId || toLocation ? null : { toRoomId: 'is required (or a room name in toLocation)' }
+));
+
+const transferListQuery = object({
+  itemId: string(),
+  roomId: string(),
+  serialNumberId: string()
+});
+
+const locationHistoryQuery = object({
+  at: date(),
+  from: date(),
+  to: date()
+}, ({ at, from, to }) => (
+  at && (from || to) ? { at: 'cannot be combined with from or to' } : null
+));
+
+function createTransfersRouter(repos) {
+  const router = express.Router();
+
+  // Move an item, or some of its inventory codes, to another room. Laborans
+  // need both rooms assigned to them.
+  // Body: { itemId, toRoomId | toLocation, serialNumberIds?, note? }
+  router.post('/transfers', requireRole('admin', 'laboran'), validate({ body: transferBody }), async (req, res) => {
+    const { itemId, toRoomId, toLocation, serialNumberIds, note } = req.body;
+
+    const transfer = await repos.transaction(async (tx) => {
+      const item = await tx.items.findById(itemId);
+      if (!item) throw notFound('Item not found');
+
+      const toRoom = toRoomId ? await tx.rooms.findById(toRoomId) : await tx.rooms.findByName(toLocation);
+      if (!toRoom) {
+        throw validationFailed(toRoomId ? { toRoomId: 'does not match a room' } : { toLocation: 'does not match a room' });
+      }
+      assertCanManageRooms(req.user, item.room_id, toRoom.id);
+      if (toRoom.id === item.room_id) {
+        throw badRequest('Item is already in that room', 'SAME_ROOM');
+      }
+
+      if (serialNumberIds) {
+        const owned = new Set((await tx.inventoryCodes.listByItem(item.id)).map((code) => code.id));
+        const foreign = serialNumberIds.filter((id) => !owned.has(id));
+        if (foreign.length > 0) {
+          throw validationFailed({ serialNumberIds: `do not belong to this item: ${foreign.join(', ')}` });
+        }
+      }
+
+      // A lent unit stays where it was lent from until it comes back
+      const lent = await tx.loans.outstandingUnits(
+        serialNumberIds ? { codeIds: serialNumberIds } : { itemId: item.id }
+      );
+      if (lent.length > 0) {
+        const codes = lent.map((unit) => unit.kode_inventaris).join(', ');
+        throw conflict(`${lent.length} unit(s) are out on loan (${codes}); take them back first`, 'UNIT_ON_LOAN');
+      }
+
+      const { transfer: created, changes } = await tx.transfers.moveUnits({
+        item, toRoomId: toRoom.id, codeIds: serialNumberIds, note
+      });
+      await tx.audit.record({
+        actor: req.user, entity: 'transfer', entityId: created.id, action: 'create', after: created
+      });
+      for (const change of changes) await tx.audit.record({ actor: req.user, ...change });
+      return created;
+    });
+
+    res.status(201).json(transfer);
+  });
+
+  // List transfers, filterable by itemId, roomId and serialNumberId
+  router.get('/transfers', validate({ query: transferListQuery }), async (req, res) => {
+    const { itemId, roomId, serialNumberId } = req.query;
+    const transfers = await repos.transfers.list({ itemId, roomId, inventoryCodeId: serialNumberId });
+    res.json(transfers);
+  });
+
+  // Get a transfer with the units it moved
+  router.get('/transfers/:id', async (req, res) => {
+    const transfer = await repos.transfers.findById(req.params.id);
+    if (!transfer) throw notFound('Transfer not found');
+    res.json(transfer);
+  });
+
+  // Rooms a unit has been in. `?at=2025-03-15` gives the room on that date,
+  // `?from=2025-03-01&to=2025-03-31` every room during that period.
+  router.get('/serial-numbers/:id/location-history', validate({ query: locationHistoryQuery }), async (req, res) => {
+    const { at, from, to } = req.query;
+
+    const serialNumber = await repos.inventoryCodes.findById(req.params.id);
+    if (!serialNumber) throw notFound('Serial number not found');
+
+    const history = await repos.transfers.locationHistory(serialNumber.id, at ? { from: at, to: at } : { from, to });
+    res.json(history);
+  });
+
+  return router;
+}
+
+module.exports = createTransfersRouter;
@@ -0,0 +1,151 @@
+const express = require('express');
+const { TYPES } = require('../repositories/trash');
+const { requireRole, assertCanManageRooms } = require('../auth/middleware');
+const { notFound, conflict, forbidden } = require('../http/errors');
+const { object, string, date, oneOf, validate } = require('../http/validate');
+const { pageFields, page } = require('../http/pagination');
+const { removeStored } = require('../attachments/files');
+
+// The audit entity and the name used in messages for each type
+const ENTITY = { rooms: 'room', items: 'item', 'serial-numbers': 'inventory_code' };
+const NOUN = { rooms: 'room', items: 'item', 'serial-numbers': 'serial number' };
+
+const listQuery = object({
+  type: oneOf(TYPES),
+  roomId: string(),
+  from: date(),
+  to: date(),
+  ...pageFields
+});
+
+const purgeQuery = object({
+  before: date({ required: true })
+});
+
+// The trashed record the URL names. Only what the user deleted can be
+// restored or purged; what went along with it follows its room or item.
+async function findRoot(tx, { type, id }) {
+  if (!TYPES.includes(type)) throw notFound(`No such trash type ${type}; use ${TYPES.join(', ')}`);
+  const record = await tx.trash.findDeleted(type, id);
+  if (!record) throw notFound(`No ${NOUN[type]} with this id in the trash`);
+  if (record.deletion_id !== record.id) {
+    const parent = record.deletion_id === record.item_id ? 'item' : 'room';
+    throw conflict(
+      `This ${NOUN[type]} was deleted along with its ${parent}; restore or purge that instead`,
+      'DELETED_WITH_PARENT',
+      { [`${parent}Id`]: record.deletion_id }
+    );
+  }
+  return record;
+}
+
+// 409 when the room or item a record goes back into is itself in the
+// trash; otherwise the room it goes back into, for the permission check
+async function liveParentRoomId(tx, type, record) {
+  if (type === 'items') {
+    if (!(await tx.rooms.findById(record.room_id))) {
+      throw conflict('The room of this item is in the trash; restore the room first', 'PARENT_DELETED');
+    }
+    return record.room_id;
+  }
+  const item = await tx.items.findById(record.item_id);
+  if (!item) throw conflict('The item of this unit is in the trash; restore the item first', 'PARENT_DELETED');
+  return item.room_id;
+}
+
+const findRestored = (tx, type, id) => {
+  if (type === 'rooms') return tx.rooms.findById(id);
+  if (type === 'items') return tx.items.findById(id);
+  return tx.inventoryCodes.findById(id);
+};
+
+function createTrashRouter(repos, storage) {
+  const router = express.Router();
+  const adminOnly = requireRole('admin');
+
+  // What users deleted, newest first: one entry per room, item or unit
+  // deleted, with how many items and units went along with it. Laboran
+  // only see what was in their rooms.
+  router.get('/trash', requireRole('admin', 'laboran'), validate({ query: listQuery }), async (req, res) => {
+    const roomIds = req.user.role === 'admin' ? undefined : req.user.roomIds;
+    const result = await repos.trash.list({ ...req.query, roomIds });
+    res.json(page(result, req.query));
+  });
+
+  // Put a room, item or unit back, with whatever was deleted along with it.
+  // Rooms are for admins; laboran can restore items and units in their rooms.
+  router.post('/trash/:type/:id/restore', requireRole('admin', 'laboran'), async (req, res) => {
+    const { type } = req.params;
+
+    const result = await repos.transaction(async (tx) => {
+      const record = await findRoot(tx, req.params);
+      if (type === 'rooms') {
+        if (req.user.role !== 'admin') throw forbidden('Only admins can restore rooms');
+      } else {
+        assertCanManageRooms(req.user, await liveParentRoomId(tx, type, record));
+      }
+
+      const restored = await tx.trash.restore(record.id);
+      const after = await findRestored(tx, type, record.id);
+      await tx.audit.record({
+        actor: req.user, entity: ENTITY[type], entityId: record.id, action: 'restore', before: record, after
+      });
+      return { restored: after, restoredItems: restored.items, restoredUnits: restored.units };
+    });
+
+    res.json({ message: `Restored the ${NOUN[type]} from the trash`, ...result });
+  });
+
+  // Empty the trash of everything deleted at or before ?before=. Attached
+  // files go too, once the purge is committed.
+  router.delete('/trash', adminOnly, validate({ query: purgeQuery }), async (req, res) => {
+    const files = [];
+    const result = await repos.transaction(async (tx) => {
+      let purgedItems = 0;
+      let purgedUnits = 0;
+      let purged = 0;
+      // Oldest first, so a unit deleted before its item is purged on its own
+      // before the item takes the rest
+      for (const root of await tx.trash.rootsBefore(req.query.before)) {
+        const record = await tx.trash.findDeleted(root.type, root.id);
+        if (!record) continue;
+        files.push(...await tx.attachments.storageKeysUnder(root.type, root.id));
+        const counts = await tx.trash.purge(root.type, root.id);
+        await tx.audit.record({
+          actor: req.user, entity: ENTITY[root.type], entityId: root.id, action: 'purge', before: record
+        });
+        purged += 1;
+        purgedItems += counts.items;
+        purgedUnits += counts.units;
+      }
+      return { purged, purgedItems, purgedUnits };
+    });
+    await removeStored(storage, files);
+
+    res.json({ message: 'Trash emptied', ...result });
+  });
+
+  // Delete a room, item or unit in the trash for good, with everything
+  // under it, attached files included
+  router.delete('/trash/:type/:id', adminOnly, async (req, res) => {
+    const { type } = req.params;
+
+    let files = [];
+    const result = await repos.transaction(async (tx) => {
+      const record = await findRoot(tx, req.params);
+      files = await tx.attachments.storageKeysUnder(type, record.id);
+      const counts = await tx.trash.purge(type, record.id);
+      await tx.audit.record({
+        actor: req.user, entity: ENTITY[type], entityId: record.id, action: 'purge', before: record
+      });
+      return { purgedItems: counts.items, purgedUnits: counts.units };
+    });
+    await removeStored(storage, files);
+
+    res.json({ message: `The ${NOUN[type]} was deleted for good`, ...result });
+  });
+
+  return router;
+}
+
+module.exports = createTrashRouter;
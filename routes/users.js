@@ -0,0 +1,92 @@
+const express = require('express');
+const { ROLES } = require('../repositories/users');
+const { MIN_PASSWORD_LENGTH, hashPassword } = require('../auth/passwords');
+const { requireRole } = require('../auth/middleware');
+const { isUniqueViolation, isForeignKeyViolation } = require('../db/errors');
+const { badRequest, notFound, conflict, validationFailed } = require('../http/errors');
+const { object, string, boolean, oneOf, array, validate } = require('../http/validate');
+
+const userFields = (required) => ({
+  username: string({ required, max: 100 }),
+  password: string({ required, trim: false, min: MIN_PASSWORD_LENGTH }),
+  name: string({ max: 200 }),
+  role: oneOf(ROLES, { default: required ? 'viewer' : undefined }),
+  roomIds: array(string({ required: true }), { unique: true, default: required ? [] : undefined })
+});
+
+const createUserBody = object(userFields(true));
+
+// Fields left out keep their current value; the username cannot change
+const { username, ...updatableFields } = userFields(false);
+const updateUserBody = object({ ...updatableFields, active: boolean() });
+
+const UNKNOWN_ROOM = () => validationFailed({ roomIds: 'contain a room that does not exist' });
+
+// User management is for admins only
+function createUsersRouter(repos) {
+  const router = express.Router();
+  router.use('/users', requireRole('admin'));
+
+  // Get all users
+  router.get('/users', async (req, res) => {
+    res.json(await repos.users.list());
+  });
+
+  // Create a user
+  router.post('/users', validate({ body: createUserBody }), async (req, res) => {
+    const { password, ...fields } = req.body;
+
+    try {
+      const passwordHash = await hashPassword(password);
+      const user = await repos.transaction((tx) => tx.users.create({ ...fields, passwordHash }));
+      res.status(201).json(user);
+    } catch (err) {
+      if (isUniqueViolation(err)) throw conflict('Username is already taken', 'DUPLICATE_USERNAME');
+      if (isForeignKeyViolation(err)) throw UNKNOWN_ROOM();
+      throw err;
+    }
+  });
+
+  // Update a user's name, role, rooms, active flag or password
+  router.put('/users/:id', validate({ body: updateUserBody }), async (req, res) => {
+    const { name, role, active, password, roomIds } = req.body;
+
+    const demotesSelf = req.params.id === req.user.id &&
+      ((role !== undefined && role !== 'admin') || active === false);
+    if (demotesSelf) {
+      throw badRequest('You cannot remove your own admin access', 'SELF_DEMOTION');
+    }
+
+    try {
+      const passwordHash = password === undefined ? undefined : await hashPassword(password);
+      const user = await repos.transaction(async (tx) => {
+        const updated = await tx.users.update(req.params.id, { name, role, active, passwordHash, roomIds });
+        if (!updated) throw notFound('User not found');
+
+        // A new password or a deactivated account ends existing sessions
+        if (passwordHash || active === false) {
+          await tx.sessions.revokeAllForUser(updated.id);
+        }
+        return updated;
+      });
+      res.json(user);
+    } catch (err) {
+      throw isForeignKeyViolation(err) ? UNKNOWN_ROOM() : err;
+    }
+  });
+
+  // Delete a user
+  router.delete('/users/:id', async (req, res) => {
+    if (req.params.id === req.user.id) {
+      throw badRequest('You cannot delete your own account', 'SELF_DELETION');
+    }
+
+    const deleted = await repos.users.remove(req.params.id);
+    if (!deleted) throw notFound('User not found');
+    res.json({ message: 'User deleted successfully' });
+  });
+
+  return router;
+}
+
+module.exports = createUsersRouter;
@@ -0,0 +1,111 @@
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { badRequest } = require('../http/errors');
+
+// Uploaded spreadsheets (CSV or XLSX) as plain rows. The first non-blank row
+// is the header; every row after it becomes { line, values } where `line` is
+// the row number a spreadsheet program shows and `values` is keyed by header.
+// Blank rows are skipped, and cells are strings, numbers or Dates.
+
+const FORMATS = {
+  csv: { extension: /\.csv$/i, types: ['text/csv', 'application/csv', 'text/plain'] },
+  xlsx: { extension: /\.xlsx$/i, types: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] }
+};
+
+const invalidFile = (message) => badRequest(message, 'INVALID_FILE');
+
+// The file name decides; browsers are loose about the content type
+function formatOf({ originalname = '', mimetype = '' }) {
+  const byName = Object.keys(FORMATS).find((format) => FORMATS[format].extension.test(originalname));
+  return byName || Object.keys(FORMATS).find((format) => FORMATS[format].types.includes(mimetype));
+}
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Exports from Indonesian-locale Excel use ';' between fields, some tools
+// use tabs; whichever appears most in the header line wins
+function delimiterOf(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, header.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// A ' in front of what would read as a formula is what the CSV export puts
+// there to keep spreadsheet programs from running it
+const unguarded = (value) => value.replace(/^'(?=[=+\-@\t\r])/, '');
+
+function readCsv(buffer) {
+  const text = buffer.toString('utf8');
+  try {
+    const table = parse(text, {
+      delimiter: delimiterOf(text.replace(/^\uFEFF/, '')),
+      bom: true,
+      relax_column_count: true,
+      skip_empty_lines: false
+    });
+    return table.map((row) => row.map(unguarded));
+  } catch (err) {
+    throw invalidFile(`The CSV file could not be read: ${err.message}`);
+  }
+}
+
+// An XLSX cell's value without formulas, rich text or links around it
+function cellValue(value) {
+  if (value === null || value === undefined || value instanceof Date) return value;
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if (value.richText) return value.richText.map((part) => part.text).join('');
+  if ('text' in value) return cellValue(value.text);
+  return undefined;
+}
+
+async function readXlsx(buffer, sheet) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw invalidFile(`The XLSX file could not be read: ${err.message}`);
+  }
+
+  const worksheet = sheet ? workbook.getWorksheet(sheet) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw invalidFile(sheet ? `The workbook has no sheet named "${sheet}"` : 'The workbook has no sheets');
+  }
+
+  // Row n of the sheet at index n - 1, so line numbers survive
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    rows[rowNumber - 1] = row.values.slice(1).map(cellValue);
+  });
+  return Array.from(rows, (row) => row || []);
+}
+
+async function readSpreadsheet(file, { sheet } = {}) {
+  const format = formatOf(file);
+  if (!format) {
+    throw badRequest('Upload a .csv or .xlsx file (older .xls files need to be saved as .xlsx)', 'UNSUPPORTED_FILE');
+  }
+  const table = format === 'csv' ? readCsv(file.buffer) : await readXlsx(file.buffer, sheet);
+  const cells = table.map((row) => row.map((value) => (typeof value === 'string' ? value.trim() : value)));
+
+  const headerIndex = cells.findIndex((row) => row.some((value) => !isBlank(value)));
+  if (headerIndex === -1) throw invalidFile('The file is empty');
+
+  const headers = cells[headerIndex].map((value) => (isBlank(value) ? null : String(value)));
+  const repeated = headers.find((header, i) => header && headers.indexOf(header) !== i);
+  if (repeated) throw invalidFile(`Column "${repeated}" appears more than once in the header row`);
+
+  const rows = [];
+  cells.slice(headerIndex + 1).forEach((row, i) => {
+    if (row.every(isBlank)) return;
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header && !isBlank(row[column])) values[header] = row[column];
+    });
+    rows.push({ line: headerIndex + i + 2, values });
+  });
+
+  return { format, headers: headers.filter(Boolean), rows };
+}
+
+module.exports = { readSpreadsheet };
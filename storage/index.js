@@ -0,0 +1,27 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+
+// ATTACHMENT_STORAGE picks where uploaded files go. Only the local disk is
+// implemented; object storage would be another backend with the same
+// surface.
+function resolveConfig(env = process.env) {
+  const backend = (env.ATTACHMENT_STORAGE || 'local').toLowerCase();
+  if (backend !== 'local') {
+    throw new Error(`Unsupported ATTACHMENT_STORAGE "${env.ATTACHMENT_STORAGE}" (expected local)`);
+  }
+  return {
+    backend,
+    directory: env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'uploads')
+  };
+}
+
+// Every backend exposes the same surface:
+//   label                -> where the files are, for the logs
+//   put(key, buffer)     -> stores the bytes under key, replacing any
+//   get(key)             -> { size, stream } or null when there is no such key
+//   remove(key)          -> true, or false when there was nothing to remove
+function createStorage(config = resolveConfig()) {
+  return createLocalStorage(config);
+}
+
+module.exports = { createStorage, resolveConfig };
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keys are generated by the server; anything that could leave the directory
+// is a bug
+const SAFE_KEY = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Files in one directory on the local disk, one file per key
+function createLocalStorage({ directory }) {
+  const fileOf = (key) => {
+    if (!SAFE_KEY.test(key)) throw new Error(`Invalid storage key "${key}"`);
+    return path.join(directory, key);
+  };
+
+  return {
+    label: `Local files in ${directory}`,
+
+    async put(key, buffer) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileOf(key), buffer);
+    },
+
+    async get(key) {
+      const file = fileOf(key);
+      try {
+        const { size } = await fs.promises.stat(file);
+        return { size, stream: fs.createReadStream(file) };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(fileOf(key));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    }
+  };
+}
+
+module.exports = createLocalStorage;